@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "auth_challenges" (
+    "id" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "ownerType" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auth_challenges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_challenges_nonce_key" ON "auth_challenges"("nonce");
+
+-- CreateIndex
+CREATE INDEX "auth_challenges_address_idx" ON "auth_challenges"("address");
+
+-- AlterTable
+ALTER TABLE "users" ALTER COLUMN "password" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "merchants" ALTER COLUMN "password" DROP NOT NULL;
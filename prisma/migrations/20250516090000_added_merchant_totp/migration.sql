@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "merchants" ADD COLUMN     "totpEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "totpLastUsedStep" INTEGER,
+ADD COLUMN     "totpRecoveryCodes" TEXT[],
+ADD COLUMN     "totpSecret" TEXT;
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "MemberRole" AS ENUM ('OWNER', 'DEVELOPER', 'FINANCE', 'READ_ONLY');
+
+-- AlterTable
+ALTER TABLE "refresh_tokens" ADD COLUMN     "memberId" TEXT;
+
+-- CreateTable
+CREATE TABLE "merchant_members" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "MemberRole" NOT NULL,
+    "password" TEXT,
+    "invitedBy" TEXT,
+    "acceptedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "merchantId" TEXT NOT NULL,
+
+    CONSTRAINT "merchant_members_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_memberId_idx" ON "refresh_tokens"("memberId");
+
+-- CreateIndex
+CREATE INDEX "merchant_members_merchantId_idx" ON "merchant_members"("merchantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "merchant_members_merchantId_email_key" ON "merchant_members"("merchantId", "email");
+
+-- AddForeignKey
+ALTER TABLE "merchant_members" ADD CONSTRAINT "merchant_members_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "merchants"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "sessions" (
+    "id" TEXT NOT NULL,
+    "ownerId" TEXT NOT NULL,
+    "ownerType" TEXT NOT NULL,
+    "memberId" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "sessions_ownerId_idx" ON "sessions"("ownerId");
+
+-- CreateIndex
+CREATE INDEX "sessions_memberId_idx" ON "sessions"("memberId");
+
+-- Backfill a session for every existing refresh token family so those logins keep refreshing
+INSERT INTO "sessions" ("id", "ownerId", "ownerType", "memberId", "lastUsedAt", "expiresAt", "revokedAt", "createdAt")
+SELECT
+    "familyId",
+    MIN("ownerId"),
+    MIN("ownerType"),
+    MIN("memberId"),
+    MAX("createdAt"),
+    MAX("expiresAt"),
+    CASE WHEN BOOL_AND("revokedAt" IS NOT NULL) THEN MAX("revokedAt") END,
+    MIN("createdAt")
+FROM "refresh_tokens"
+GROUP BY "familyId";
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "description" TEXT,
+ADD COLUMN     "imageUrls" TEXT[],
+ADD COLUMN     "metadata" JSONB,
+ADD COLUMN     "statementDescriptor" TEXT,
+ADD COLUMN     "supportUrl" TEXT;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "products_merchantId_createdAt_idx" ON "products"("merchantId", "createdAt");
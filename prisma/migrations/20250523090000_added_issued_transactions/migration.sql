@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "issued_transactions" (
+    "id" TEXT NOT NULL,
+    "digest" TEXT NOT NULL,
+    "ownerId" TEXT NOT NULL,
+    "purpose" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "issued_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "issued_transactions_digest_key" ON "issued_transactions"("digest");
+
+-- CreateIndex
+CREATE INDEX "issued_transactions_ownerId_idx" ON "issued_transactions"("ownerId");
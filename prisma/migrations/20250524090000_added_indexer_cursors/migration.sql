@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "indexer_cursors" (
+    "id" TEXT NOT NULL,
+    "txDigest" TEXT NOT NULL,
+    "eventSeq" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "indexer_cursors_pkey" PRIMARY KEY ("id")
+);
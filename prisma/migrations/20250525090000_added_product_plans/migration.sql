@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "payment_intents" ADD COLUMN     "planId" TEXT;
+
+-- AlterTable
+ALTER TABLE "receipts" ADD COLUMN     "planId" TEXT;
+
+-- CreateTable
+CREATE TABLE "product_plans" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "recurringPeriod" BIGINT NOT NULL,
+    "archivedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "product_plans_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "product_plans_productId_idx" ON "product_plans"("productId");
+
+-- AddForeignKey
+ALTER TABLE "product_plans" ADD CONSTRAINT "product_plans_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_intents" ADD CONSTRAINT "payment_intents_planId_fkey" FOREIGN KEY ("planId") REFERENCES "product_plans"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_planId_fkey" FOREIGN KEY ("planId") REFERENCES "product_plans"("id") ON DELETE SET NULL ON UPDATE CASCADE;
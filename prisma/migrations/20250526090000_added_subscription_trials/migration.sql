@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "trialDays" INTEGER;
+
+-- AlterTable
+ALTER TABLE "payment_intents" ALTER COLUMN "lastPaidOn" DROP NOT NULL,
+ADD COLUMN     "trialEndingSentAt" TIMESTAMP(3),
+ADD COLUMN     "trialEndsAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "trial_redemptions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "trial_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "trial_redemptions_userId_productId_key" ON "trial_redemptions"("userId", "productId");
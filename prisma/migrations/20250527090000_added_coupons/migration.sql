@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "CouponType" AS ENUM ('PERCENT', 'FIXED');
+
+-- CreateEnum
+CREATE TYPE "CouponDuration" AS ENUM ('ONCE', 'REPEATING', 'FOREVER');
+
+-- AlterTable
+ALTER TABLE "payment_intents" ADD COLUMN     "couponCyclesLeft" INTEGER,
+ADD COLUMN     "couponId" TEXT;
+
+-- AlterTable
+ALTER TABLE "receipts" ADD COLUMN     "couponId" TEXT,
+ADD COLUMN     "discount" BIGINT;
+
+-- CreateTable
+CREATE TABLE "coupons" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "type" "CouponType" NOT NULL,
+    "percentOff" INTEGER,
+    "amountOff" BIGINT,
+    "duration" "CouponDuration" NOT NULL DEFAULT 'ONCE',
+    "durationCycles" INTEGER,
+    "productIds" TEXT[],
+    "maxRedemptions" INTEGER,
+    "redemptionCount" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3),
+    "archivedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "merchantId" TEXT NOT NULL,
+
+    CONSTRAINT "coupons_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "coupons_merchantId_code_key" ON "coupons"("merchantId", "code");
+
+-- AddForeignKey
+ALTER TABLE "payment_intents" ADD CONSTRAINT "payment_intents_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "coupons"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "coupons"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupons" ADD CONSTRAINT "coupons_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "merchants"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
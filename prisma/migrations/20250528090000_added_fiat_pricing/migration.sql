@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "fiatAmount" INTEGER,
+ADD COLUMN     "fiatCurrency" TEXT;
+
+-- AlterTable
+ALTER TABLE "receipts" ADD COLUMN     "quoteId" TEXT;
+
+-- CreateTable
+CREATE TABLE "price_quotes" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "fiatAmount" INTEGER NOT NULL,
+    "fiatCurrency" TEXT NOT NULL,
+    "suiPrice" DECIMAL(24,12) NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "price_quotes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "price_quotes_userId_idx" ON "price_quotes"("userId");
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_quoteId_fkey" FOREIGN KEY ("quoteId") REFERENCES "price_quotes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_quotes" ADD CONSTRAINT "price_quotes_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
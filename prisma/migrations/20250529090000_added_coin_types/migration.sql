@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "ephemeral_deposits" ADD COLUMN     "coinType" TEXT;
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "coinType" TEXT NOT NULL DEFAULT '0x2::sui::SUI';
+
+-- AlterTable
+ALTER TABLE "receipts" ADD COLUMN     "coinType" TEXT NOT NULL DEFAULT '0x2::sui::SUI';
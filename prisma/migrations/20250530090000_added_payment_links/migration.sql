@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "payment_links" (
+    "id" TEXT NOT NULL,
+    "ref_id" TEXT NOT NULL,
+    "couponCode" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "viewCount" INTEGER NOT NULL DEFAULT 0,
+    "paymentCount" INTEGER NOT NULL DEFAULT 0,
+    "lastViewedAt" TIMESTAMP(3),
+    "lastPaidAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+
+    CONSTRAINT "payment_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payment_links_merchantId_createdAt_idx" ON "payment_links"("merchantId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "payment_links_productId_ref_id_idx" ON "payment_links"("productId", "ref_id");
+
+-- AddForeignKey
+ALTER TABLE "payment_links" ADD CONSTRAINT "payment_links_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_links" ADD CONSTRAINT "payment_links_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "merchants"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "payment_links" ADD COLUMN     "amount" BIGINT,
+ADD COLUMN     "maxRedemptions" INTEGER,
+ADD COLUMN     "quantity" INTEGER,
+ADD COLUMN     "redemptionCount" INTEGER NOT NULL DEFAULT 0,
+ALTER COLUMN "expiresAt" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "receipts" ADD COLUMN     "linkId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_linkId_fkey" FOREIGN KEY ("linkId") REFERENCES "payment_links"("id") ON DELETE SET NULL ON UPDATE CASCADE;
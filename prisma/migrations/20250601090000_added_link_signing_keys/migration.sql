@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "payment_links" ADD COLUMN     "keyId" TEXT;
+
+-- CreateTable
+CREATE TABLE "link_signing_keys" (
+    "id" TEXT NOT NULL,
+    "secret" TEXT NOT NULL,
+    "retiredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "link_signing_keys_pkey" PRIMARY KEY ("id")
+);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "merchants" ADD COLUMN     "logoUrl" TEXT;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "coupons" ADD COLUMN     "coinType" TEXT;
+
+-- Fixed coupons created so far were all in MIST
+UPDATE "coupons" SET "coinType" = '0x2::sui::SUI' WHERE "type" = 'FIXED';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "receipts" ADD COLUMN     "mismatch" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,5 @@
+// Print the JSON Schema of every route's body, params and query for client generation:
+//   npm run schemas:export > schemas.json
+import { toJsonSchemas } from '../src/schemas/index.js';
+
+console.log(JSON.stringify(toJsonSchemas(), null, 2));
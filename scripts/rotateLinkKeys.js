@@ -0,0 +1,22 @@
+// Rotate the key payment link tokens are signed with. Links signed before keep
+// resolving with the retired key until they expire:
+//   npm run link-keys:rotate
+// Add -- --prune to also delete retired keys no active link was signed with.
+import prisma from '../src/prismaClient.js';
+import { pruneRetiredLinkKeys, rotateLinkKeys } from '../src/utils/linkSigningKeys.js';
+
+try {
+  const { id, retired } = await rotateLinkKeys();
+  console.log(`New signing key: ${id}`);
+  console.log(retired.length > 0 ? `Retired: ${retired.join(', ')}` : 'No key was active before');
+
+  if (process.argv.includes('--prune')) {
+    const deleted = await pruneRetiredLinkKeys();
+    console.log(deleted.length > 0 ? `Deleted unused retired keys: ${deleted.join(', ')}` : 'No retired key can be deleted yet');
+  }
+} catch (error) {
+  console.error('Error rotating link signing keys:', error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -1,13 +1,14 @@
 import jwt from 'jsonwebtoken';
 import prisma from '../prismaClient.js';
+import { isApiKey, verifyApiKey } from '../utils/apiKeyUtils.js';
 
 const authMiddleware = async (req, res, next) => {
   // Check if this is a WebSocket request
   const isWebSocket = req.headers.upgrade && req.headers.upgrade.toLowerCase() === 'websocket';
   
   try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
+    // Get token from header (API keys may also be sent as X-API-Key)
+    const authHeader = req.headers.authorization || req.headers['x-api-key'];
     
     if (!authHeader) {
       if (isWebSocket) {
@@ -22,45 +23,60 @@ const authMiddleware = async (req, res, next) => {
     // Extract token (remove "Bearer ")
     const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
     
+    // Merchant API keys are accepted wherever a JWT is
+    if (isApiKey(token)) {
+      const apiKey = await verifyApiKey(token);
+      
+      if (!apiKey) {
+        if (isWebSocket) {
+          return req.socket.close(1008, 'Authentication failed: Invalid API key');
+        } else {
+          return res.status(401).json({ error: 'Authentication failed: Invalid API key' });
+        }
+      }
+      
+      req.id = apiKey.merchantId;
+      req.ownerType = 'MERCHANT';
+      req.apiKey = {
+        id: apiKey.id,
+        type: apiKey.type,
+        scopes: apiKey.scopes
+      };
+      
+      return next();
+    }
+    
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
     // Add user ID to request
     req.id = decoded.id;
     
-    // Determine if this is a merchant or user based on the token
-    // Option 1: If your token contains a type field
-    if (decoded.type) {
-      req.ownerType = decoded.type; // 'MERCHANT' or 'USER'
-    } 
-    // Option 2: Check both databases if type isn't in token
-    else {
-      // Try to find in merchant database first
-      const merchant = await prisma.merchant.findUnique({
-        where: { id: decoded.id },
-        select: { id: true }
-      });
-      
-      if (merchant) {
-        req.ownerType = 'MERCHANT';
-      } else {
-        // Try to find in user database
-        const user = await prisma.user.findUnique({
-          where: { id: decoded.id },
-          select: { id: true }
-        });
-        
-        if (user) {
-          req.ownerType = 'USER';
-        } else {
-          // Neither merchant nor user found with this ID
-          if (isWebSocket) {
-            return req.socket.close(1008, 'Authentication failed: Invalid entity ID');
-          } else {
-            return res.status(401).json({ error: 'Authentication failed: Invalid entity ID' });
-          }
-        }
-      }
+    // Every issued token carries its account type
+    if (!['MERCHANT', 'USER'].includes(decoded.type)) {
+      throw new Error('Token has no account type');
+    }
+    req.ownerType = decoded.type; // 'MERCHANT' or 'USER'
+    
+    // Tokens die with their session on logout. Tokens issued before sessions existed carry
+    // no sid and can't be revoked, so they are refused and their holders log in again.
+    if (!decoded.sid) {
+      throw new Error('Token has no session');
+    }
+    
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sid }
+    });
+    
+    if (!session || session.revokedAt) {
+      throw new Error('Session has been revoked');
+    }
+    req.sessionId = decoded.sid;
+    
+    // Merchant team members act for the merchant with their own role, the owner login has every permission
+    if (req.ownerType === 'MERCHANT') {
+      req.memberId = decoded.memberId || null;
+      req.role = decoded.role || 'OWNER';
     }
     
     // Continue
@@ -78,4 +94,4 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-export default authMiddleware;
\ No newline at end of file
+export default authMiddleware;
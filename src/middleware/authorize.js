@@ -0,0 +1,163 @@
+import prisma from '../prismaClient.js';
+import { hasScope } from '../utils/apiKeyUtils.js';
+
+// Every authorization failure uses the same response shape
+const forbidden = (res, message) => res.status(403).json({ error: 'Forbidden', message });
+
+// How to find each ownable resource and who owns it. `id` reads the resource ID
+// from the request, `find` loads it and `isOwner` compares it to the caller.
+const resources = {
+  product: {
+    label: 'Product',
+    id: (req) => req.params.productId || req.params.id || req.body?.product_id || req.body?.productId,
+    find: (id) => prisma.product.findUnique({ where: { id } }),
+    isOwner: (product, req) => req.ownerType === 'MERCHANT' && product.merchantId === req.id
+  },
+  webhook: {
+    label: 'Webhook',
+    id: (req) => req.params.id,
+    find: (id) => prisma.aPIWebHooks.findUnique({ where: { id } }),
+    isOwner: (webhook, req) => req.ownerType === 'MERCHANT' && webhook.merchantId === req.id
+  },
+  apiKey: {
+    label: 'API key',
+    id: (req) => req.params.id,
+    find: (id) => prisma.apiKey.findUnique({ where: { id } }),
+    isOwner: (apiKey, req) => req.ownerType === 'MERCHANT' && apiKey.merchantId === req.id
+  },
+  deposit: {
+    label: 'Deposit',
+    id: (req) => req.params.address,
+    find: (address) => prisma.ephemeralDeposit.findUnique({ where: { address } }),
+    isOwner: (deposit, req) => deposit.ownerType === req.ownerType &&
+      (deposit.ownerType === 'MERCHANT' ? deposit.merchantId : deposit.userId) === req.id
+  },
+  coupon: {
+    label: 'Coupon',
+    id: (req) => req.params.id,
+    find: (id) => prisma.coupon.findUnique({ where: { id } }),
+    isOwner: (coupon, req) => req.ownerType === 'MERCHANT' && coupon.merchantId === req.id
+  },
+  paymentLink: {
+    label: 'Payment link',
+    id: (req) => req.params.id,
+    find: (id) => prisma.paymentLink.findUnique({ where: { id } }),
+    isOwner: (link, req) => req.ownerType === 'MERCHANT' && link.merchantId === req.id
+  },
+  member: {
+    label: 'Team member',
+    id: (req) => req.params.id,
+    find: (id) => prisma.merchantMember.findUnique({ where: { id } }),
+    isOwner: (member, req) => req.ownerType === 'MERCHANT' && member.merchantId === req.id
+  },
+  session: {
+    label: 'Session',
+    id: (req) => req.params.id,
+    find: (id) => prisma.session.findUnique({ where: { id } }),
+    isOwner: (session, req) => session.ownerType === req.ownerType && session.ownerId === req.id &&
+      session.memberId === (req.memberId || null)
+  },
+  paymentIntent: {
+    label: 'Subscription',
+    id: (req) => req.params.paymentIntentId,
+    find: (id) => prisma.paymentIntent.findUnique({ where: { id } }),
+    isOwner: (intent, req) => req.ownerType === 'USER' && intent.userId === req.id
+  }
+};
+
+// Only merchant accounts (or their API keys) may continue
+const requireMerchant = (req, res, next) => {
+  if (req.ownerType !== 'MERCHANT') {
+    return forbidden(res, 'This endpoint is only available to merchant accounts');
+  }
+  next();
+};
+
+// Only end-user accounts may continue
+const requireUser = (req, res, next) => {
+  if (req.ownerType !== 'USER') {
+    return forbidden(res, 'This endpoint is only available to user accounts');
+  }
+  next();
+};
+
+// Only merchant logins holding one of the roles may continue. OWNER always passes;
+// API keys carry no role and are limited by their scopes instead.
+const requireRole = (...roles) => (req, res, next) => {
+  if (req.ownerType !== 'MERCHANT') {
+    return forbidden(res, 'This endpoint is only available to merchant accounts');
+  }
+
+  if (req.apiKey || req.role === 'OWNER' || roles.includes(req.role)) {
+    return next();
+  }
+
+  return forbidden(res, `Your role (${req.role}) does not allow this action`);
+};
+
+// Load a resource and make sure the caller owns it. The loaded record is
+// attached as req.resource so the route does not have to query it again.
+const requireOwnerOf = (resource) => {
+  const definition = resources[resource];
+  if (!definition) {
+    throw new Error(`Unknown resource type: ${resource}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const id = definition.id(req);
+
+      if (!id) {
+        return res.status(400).json({
+          error: 'Missing required parameter',
+          message: `${definition.label} ID is required`
+        });
+      }
+
+      const record = await definition.find(id);
+
+      if (!record) {
+        return res.status(404).json({
+          error: `${definition.label} not found`,
+          message: `No ${definition.label.toLowerCase()} found with the provided ID`
+        });
+      }
+
+      if (!definition.isOwner(record, req)) {
+        return forbidden(res, `You don't have permission to access this ${definition.label.toLowerCase()}`);
+      }
+
+      req.resource = record;
+      next();
+    } catch (error) {
+      console.error(`Error authorizing access to ${resource}:`, error);
+      res.status(500).json({ error: 'Authorization check failed' });
+    }
+  };
+};
+
+// Restrict API key access to keys holding a scope; JWT sessions are not affected
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !hasScope(req.apiKey, scope)) {
+    return forbidden(res, `API key is missing the ${scope} scope`);
+  }
+  next();
+};
+
+// Reject team members on routes that manage the merchant owner's own login
+const rejectMembers = (req, res, next) => {
+  if (req.memberId) {
+    return forbidden(res, 'Only the merchant owner login can access this endpoint');
+  }
+  next();
+};
+
+// Reject API keys on routes that must only be reached from an interactive login
+const rejectApiKeys = (req, res, next) => {
+  if (req.apiKey) {
+    return forbidden(res, 'API keys cannot access this endpoint');
+  }
+  next();
+};
+
+export { requireMerchant, requireUser, requireRole, requireOwnerOf, requireScope, rejectApiKeys, rejectMembers, forbidden };
@@ -0,0 +1,154 @@
+import { hit, peek, setBucket, clearBucket } from '../utils/rateLimit/index.js';
+
+// Default limits as [max requests, window in seconds]. Each one can be overridden
+// with RATE_LIMIT_<NAME>=max/seconds, e.g. RATE_LIMIT_PAY_ACCOUNT=20/60
+const DEFAULT_LIMITS = {
+  auth: [50, 15 * 60],          // unauthenticated auth endpoints, per IP
+  login: [10, 15 * 60],         // login attempts, per account
+  email: [5, 60 * 60],          // verification and reset emails, per account
+  pay: [30, 60],                // subscription payments, per IP
+  payAccount: [10, 60],         // subscription payments, per user
+  generateLink: [120, 60],      // payment link generation, per IP
+  generateLinkAccount: [60, 60], // payment link generation, per merchant
+  linkView: [120, 60],          // payment link checkout views, per IP
+  qr: [60, 60],                 // QR code rendering, per IP
+  price: [30, 60]               // price lookups, per IP
+};
+
+const DISABLED = process.env.RATE_LIMIT_DISABLED === 'true';
+
+// Progressive lockout: after LOCKOUT_THRESHOLD failed logins the account is locked,
+// doubling from LOCKOUT_BASE up to LOCKOUT_MAX with every further failure
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10);
+const LOCKOUT_BASE = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS || '60', 10) * 1000;
+const LOCKOUT_MAX = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS || '3600', 10) * 1000;
+const FAILURE_WINDOW = 24 * 60 * 60 * 1000; // failures are forgotten after a day without a success
+
+// Resolve a limit, applying any environment override
+function limitFor(name) {
+  if (!DEFAULT_LIMITS[name]) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  const envName = `RATE_LIMIT_${name.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+  const [max, seconds] = process.env[envName]
+    ? process.env[envName].split('/').map(Number)
+    : DEFAULT_LIMITS[name];
+
+  return { max, windowMs: seconds * 1000 };
+}
+
+// Respond with 429 and tell the client when to try again
+const tooManyRequests = (res, resetAt, message) => {
+  const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Too many requests', message, retryAfter });
+};
+
+// Bucket keys
+const byIp = (req) => `ip:${req.ip}`;
+const byAccount = (req) => req.id && `${req.ownerType}:${req.id}`;
+const byBodyId = (type) => (req) => req.body?.id && `${type}:${req.body.id}`;
+
+/**
+ * Limit requests per bucket with a fixed window. Requests without a bucket key
+ * (e.g. a missing account ID) are let through for the route to reject.
+ * @param {string} name - Limit name from DEFAULT_LIMITS
+ * @param {Function} key - Maps the request to a bucket key, per IP by default
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = (name, key = byIp) => {
+  const { max, windowMs } = limitFor(name);
+
+  return async (req, res, next) => {
+    if (DISABLED) {
+      return next();
+    }
+
+    try {
+      const bucketKey = key(req);
+      if (!bucketKey) {
+        return next();
+      }
+
+      const bucket = await hit(`${name}:${bucketKey}`, windowMs);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - bucket.count)));
+      res.set('RateLimit-Reset', String(Math.ceil((bucket.resetAt.getTime() - Date.now()) / 1000)));
+
+      if (bucket.count > max) {
+        return tooManyRequests(res, bucket.resetAt, 'Rate limit exceeded, please try again later');
+      }
+
+      next();
+    } catch (error) {
+      // Fail open, an unavailable store shouldn't take the API down with it
+      console.error(`Rate limit check failed for ${name}:`, error);
+      next();
+    }
+  };
+};
+
+/**
+ * Reject logins to an account that is locked after repeated failures. The account
+ * key is kept on the request for recordLoginFailure and clearLoginFailures.
+ * @param {Function} account - Maps the request to an account key
+ * @returns {Function} - Express middleware
+ */
+const loginLockout = (account) => async (req, res, next) => {
+  if (DISABLED) {
+    return next();
+  }
+
+  try {
+    req.loginAccount = account(req) || null;
+    if (!req.loginAccount) {
+      return next();
+    }
+
+    const lock = await peek(`lockout:${req.loginAccount}`);
+    if (lock) {
+      return tooManyRequests(res, lock.resetAt, 'Account temporarily locked after too many failed login attempts');
+    }
+
+    next();
+  } catch (error) {
+    console.error('Login lockout check failed:', error);
+    next();
+  }
+};
+
+// Count a failed login and lock the account once it passes the threshold
+async function recordLoginFailure(req) {
+  if (!req.loginAccount) {
+    return;
+  }
+
+  try {
+    const failures = await hit(`login-failures:${req.loginAccount}`, FAILURE_WINDOW);
+
+    if (failures.count >= LOCKOUT_THRESHOLD) {
+      const duration = Math.min(LOCKOUT_BASE * 2 ** (failures.count - LOCKOUT_THRESHOLD), LOCKOUT_MAX);
+      await setBucket(`lockout:${req.loginAccount}`, failures.count, new Date(Date.now() + duration));
+      console.warn(`Login locked for ${req.loginAccount} for ${duration / 1000}s after ${failures.count} failed attempts`);
+    }
+  } catch (error) {
+    console.error('Error recording login failure:', error);
+  }
+}
+
+// Forget earlier failures after a successful login
+async function clearLoginFailures(req) {
+  if (!req.loginAccount) {
+    return;
+  }
+
+  try {
+    await clearBucket(`login-failures:${req.loginAccount}`);
+  } catch (error) {
+    console.error('Error clearing login failures:', error);
+  }
+}
+
+export { rateLimit, loginLockout, recordLoginFailure, clearLoginFailures, byIp, byAccount, byBodyId };
@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+// Hash both sides so timingSafeEqual always compares equal lengths
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Operator endpoints are reached with the ADMIN_API_KEY in the X-Admin-Key header.
+// They don't exist at all while no key is configured.
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(404).json({ error: 'Not found', message: 'Operator endpoints are disabled' });
+  }
+
+  const provided = req.headers['x-admin-key'];
+
+  if (typeof provided !== 'string' || !crypto.timingSafeEqual(digest(provided), digest(adminKey))) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid admin key' });
+  }
+
+  next();
+};
+
+export default requireAdmin;
@@ -0,0 +1,43 @@
+import prisma from '../prismaClient.js';
+import { verifySecondFactor } from '../utils/totp.js';
+
+// Sensitive merchant actions need a fresh TOTP (or recovery) code when the merchant
+// has two-factor authentication enabled. The code is read from the X-TOTP-Code
+// header or a totpCode body field.
+const requireFreshTotp = async (req, res, next) => {
+  try {
+    const merchant = await prisma.merchant.findUnique({
+      where: { id: req.id }
+    });
+
+    if (!merchant || !merchant.totpEnabledAt) {
+      return next();
+    }
+
+    // The TOTP device belongs to the owner, so team members can't complete these actions
+    if (req.memberId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the merchant owner can perform this action while two-factor authentication is enabled'
+      });
+    }
+
+    const code = req.headers['x-totp-code'] || req.body?.totpCode;
+    const result = await verifySecondFactor(merchant, code);
+
+    if (!result.success) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: result.reason,
+        totpRequired: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('TOTP check error:', error);
+    res.status(500).json({ error: 'TOTP check failed' });
+  }
+};
+
+export default requireFreshTotp;
@@ -0,0 +1,24 @@
+import multer from 'multer';
+import { MAX_IMAGE_SIZE } from '../utils/productImages.js';
+
+// Keep a single uploaded image in memory, it is checked before being stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: 1 }
+}).single('image');
+
+// Run the upload and answer multer errors (e.g. file too large) like validation errors
+const uploadImage = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: err.message,
+        errors: [{ location: 'body', field: err.field || 'image', message: err.message }]
+      });
+    }
+    next();
+  });
+};
+
+export default uploadImage;
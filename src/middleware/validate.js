@@ -0,0 +1,50 @@
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Validate a request against zod schemas. Each location is replaced with its parsed
+ * value, so defaults and coercions apply and unknown fields are dropped.
+ * Failures are answered with a 400 listing every invalid field.
+ * @param {Object} schemas - { body, params, query } zod schemas, see src/schemas
+ * @returns {Function} - Express middleware
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    const schema = schemas[location];
+    if (!schema) {
+      continue;
+    }
+
+    const result = schema.safeParse(req[location] ?? {});
+
+    if (!result.success) {
+      errors.push(...result.error.issues.map(issue => ({
+        location,
+        field: issue.path.join('.'),
+        message: issue.message
+      })));
+      continue;
+    }
+
+    // Express 5 exposes req.query through a getter, so shadow it on the request
+    Object.defineProperty(req, location, {
+      value: result.data,
+      writable: true,
+      configurable: true,
+      enumerable: true
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: errors.map(({ field, message }) => (field ? `${field}: ${message}` : message)).join('; '),
+      errors
+    });
+  }
+
+  next();
+};
+
+export default validate;
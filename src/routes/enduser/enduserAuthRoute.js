@@ -1,17 +1,25 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import prisma from '../../prismaClient.js';
 import { sui, serverKeyPair } from '../../utils/suiClient.js';
 import { PackageId, WalletRegistry } from '../../utils/packageUtils.js';
 import { Transaction } from '@mysten/sui/transactions';
 import authMiddleware from '../../middleware/authMiddleware.js';
+import { requireUser } from '../../middleware/authorize.js';
 import { queryEventsWithRetry } from '../../utils/suiUtils.js';
+import { issueTokens, revokeOwnerTokens, rotateRefreshToken } from '../../utils/tokenUtils.js';
+import { createWalletChallenge, verifyWalletChallenge } from '../../utils/walletAuth.js';
+import { consumeEmailToken, invalidateEmailTokens } from '../../utils/emailTokens.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../../utils/accountEmails.js';
+import { rateLimit, loginLockout, recordLoginFailure, clearLoginFailures, byAccount, byBodyId } from '../../middleware/rateLimit.js';
+import validate from '../../middleware/validate.js';
+import { userSignUp, userLogin, walletChallenge, userWalletLogin, refresh, verifyEmail, forgotPassword, resetPassword } from '../../schemas/auth.js';
 const router = express.Router();
 
-router.post('/signUp', async(req, res) => {
+router.post('/signUp', rateLimit('auth'), validate(userSignUp), async(req, res) => {
     const { id, email, password } = req.body;
-    const hashedPassword = bcrypt.hashSync(password, 8);
+    // Password is optional for accounts that will sign in with their wallet
+    const hashedPassword = password ? bcrypt.hashSync(password, 8) : null;
     
     try {
       // Use the same contract function as merchants since the contracts are the same
@@ -49,14 +57,16 @@ router.post('/signUp', async(req, res) => {
         }
       });
       
+      // Don't fail the sign up if the verification email can't be sent, it can be resent later
+      sendVerificationEmail(user, 'USER')
+        .catch(err => console.error(`Error sending verification email to user ${user.id}:`, err));
+      
       // Include type in token to distinguish between users and merchants
-      const token = jwt.sign({ 
-        id: user.id,
-        type: 'USER'
-      }, process.env.JWT_SECRET, { expiresIn: '30d' });//need to implement refresh token later.
+      const { accessToken, refreshToken } = await issueTokens(user.id, 'USER', { req });
  
       res.status(200).send({
-        accessToken: token,
+        accessToken,
+        refreshToken,
         user: {
           id: user.id,
           email: user.email,
@@ -83,7 +93,7 @@ router.post('/signUp', async(req, res) => {
     }
 });
 
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('auth'), validate(userLogin), rateLimit('login', byBodyId('USER')), loginLockout(byBodyId('USER')), async (req, res) => {
     const { id, password } = req.body;
 
     try {
@@ -92,22 +102,27 @@ router.post('/login', async (req, res) => {
       });
   
       if (!user) {
+        await recordLoginFailure(req);
         return res.status(404).send({ message: 'User not found' });
       }
   
-      const passwordIsValid = bcrypt.compareSync(password, user.password);
+      if (!user.password) {
+        return res.status(401).send({ accessToken: null, message: 'This account signs in with its wallet' });
+      }
+  
+      const passwordIsValid = bcrypt.compareSync(password || '', user.password);
   
       if (!passwordIsValid) {
+        await recordLoginFailure(req);
         return res.status(401).send({ accessToken: null, message: 'Invalid Password!' });
       }
   
-      const token = jwt.sign({ 
-        id: user.id,
-        type: 'USER'  // Explicitly indicate this is a user token
-      }, process.env.JWT_SECRET, { expiresIn: '30d' });
+      await clearLoginFailures(req);
+      const { accessToken, refreshToken } = await issueTokens(user.id, 'USER', { req });
   
       res.status(200).send({
-        accessToken: token,
+        accessToken,
+        refreshToken,
         user: {
           id: user.id,
           email: user.email,
@@ -119,13 +134,196 @@ router.post('/login', async (req, res) => {
     }
 });
 
-router.get('/me', authMiddleware, async (req, res) => {
+// Issue a nonce for the user to sign with their Sui wallet
+router.post('/wallet-challenge', rateLimit('auth'), validate(walletChallenge), async (req, res) => {
+    const { id } = req.body;
+
     try {
-      // Verify this is a user request, not a merchant
-      if (req.ownerType !== 'USER') {
-        return res.status(403).send({ message: 'Forbidden: Not a user account' });
+      const user = await prisma.user.findUnique({
+        where: { id }
+      });
+
+      if (!user) {
+        return res.status(404).send({ message: 'User not found' });
       }
-      
+
+      const challenge = await createWalletChallenge(user.id, 'USER');
+
+      res.status(200).send(challenge);
+    } catch (err) {
+      console.error('Wallet challenge error:', err);
+      res.status(500).send({ message: 'Error creating wallet challenge' });
+    }
+});
+
+// Log in with a signPersonalMessage signature over a challenge
+router.post('/wallet-login', rateLimit('auth'), validate(userWalletLogin), loginLockout(byBodyId('USER')), async (req, res) => {
+    const { id, nonce, signature } = req.body;
+
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id }
+      });
+
+      if (!user) {
+        await recordLoginFailure(req);
+        return res.status(404).send({ message: 'User not found' });
+      }
+
+      const result = await verifyWalletChallenge(user.id, 'USER', nonce, signature);
+
+      if (!result.success) {
+        await recordLoginFailure(req);
+        return res.status(401).send({ accessToken: null, message: result.reason });
+      }
+
+      await clearLoginFailures(req);
+      const { accessToken, refreshToken } = await issueTokens(user.id, 'USER', { req });
+
+      res.status(200).send({
+        accessToken,
+        refreshToken,
+        user: {
+          id: user.id,
+          email: user.email,
+          wallet: user.wallet
+        }
+      });
+    } catch (err) {
+      console.error('Wallet login error:', err);
+      res.status(500).send({ message: 'Error logging in' });
+    }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', rateLimit('auth'), validate(refresh), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+      const result = await rotateRefreshToken(refreshToken, 'USER', req);
+
+      if (!result.success) {
+        return res.status(401).send({ accessToken: null, message: result.reason });
+      }
+
+      res.status(200).send({
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken
+      });
+    } catch (err) {
+      console.error('Refresh error:', err);
+      res.status(500).send({ message: 'Error refreshing token' });
+    }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', rateLimit('auth'), validate(verifyEmail), async (req, res) => {
+    const { token } = req.body;
+
+    try {
+      const emailToken = await consumeEmailToken(token, 'USER', 'VERIFY_EMAIL');
+
+      if (!emailToken) {
+        return res.status(400).send({
+          error: "Invalid token",
+          message: "Verification link is invalid or has expired"
+        });
+      }
+
+      await prisma.user.update({
+        where: { id: emailToken.ownerId },
+        data: { emailVerifiedAt: new Date() }
+      });
+
+      res.status(200).send({ success: true, message: 'Email verified successfully' });
+    } catch (err) {
+      console.error('Email verification error:', err);
+      res.status(500).send({ message: 'Error verifying email' });
+    }
+});
+
+// Send a new verification email to the logged-in user
+router.post('/resend-verification', authMiddleware, requireUser, rateLimit('email', byAccount), async (req, res) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.id }
+      });
+
+      if (!user) {
+        return res.status(404).send({ message: 'User not found' });
+      }
+
+      if (user.emailVerifiedAt) {
+        return res.status(409).send({ message: 'Email is already verified' });
+      }
+
+      await sendVerificationEmail(user, 'USER');
+
+      res.status(200).send({ success: true, message: 'Verification email sent' });
+    } catch (err) {
+      console.error('Resend verification error:', err);
+      res.status(500).send({ message: 'Error sending verification email' });
+    }
+});
+
+// Email a password reset link. Always answers the same way so account IDs can't be probed.
+router.post('/forgot-password', rateLimit('auth'), validate(forgotPassword), rateLimit('email', byBodyId('USER')), async (req, res) => {
+    const { id } = req.body;
+
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id }
+      });
+
+      if (user) {
+        await sendPasswordResetEmail(user, 'USER');
+      }
+
+      res.status(200).send({
+        success: true,
+        message: 'If the account exists, a password reset email has been sent'
+      });
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      res.status(500).send({ message: 'Error requesting password reset' });
+    }
+});
+
+// Set a new password with a reset token and sign out every existing session
+router.post('/reset-password', rateLimit('auth'), validate(resetPassword), async (req, res) => {
+    const { token, password } = req.body;
+
+    try {
+      const emailToken = await consumeEmailToken(token, 'USER', 'RESET_PASSWORD');
+
+      if (!emailToken) {
+        return res.status(400).send({
+          error: "Invalid token",
+          message: "Reset link is invalid or has expired"
+        });
+      }
+
+      // Receiving the reset email also proves the address belongs to the user
+      await prisma.user.update({
+        where: { id: emailToken.ownerId },
+        data: {
+          password: bcrypt.hashSync(password, 8),
+          emailVerifiedAt: new Date()
+        }
+      });
+
+      await invalidateEmailTokens(emailToken.ownerId, 'USER', 'RESET_PASSWORD');
+      await revokeOwnerTokens(emailToken.ownerId, 'USER');
+
+      res.status(200).send({ success: true, message: 'Password reset successfully, please log in again' });
+    } catch (err) {
+      console.error('Reset password error:', err);
+      res.status(500).send({ message: 'Error resetting password' });
+    }
+});
+
+router.get('/me', authMiddleware, requireUser, async (req, res) => {
+    try {
       const user = await prisma.user.findUnique({
         where: { id: req.id }
       });
@@ -137,6 +335,7 @@ router.get('/me', authMiddleware, async (req, res) => {
       res.status(200).send({
         id: user.id,
         email: user.email,
+        emailVerified: Boolean(user.emailVerifiedAt),
         wallet: user.wallet
       });
     } catch (err) {
@@ -1,19 +1,37 @@
 import express from 'express';
 import prisma from '../../prismaClient.js';
 import authMiddleware from '../../middleware/authMiddleware.js';
+import { requireOwnerOf, requireRole, requireScope, requireUser } from '../../middleware/authorize.js';
+import { rateLimit, byAccount } from '../../middleware/rateLimit.js';
+import validate from '../../middleware/validate.js';
+import { sendTestWebhook, signedTransaction, pay, createQuote as createQuoteSchema, startTrial, cancelSubscription } from '../../schemas/subscriptions.js';
 import { sui, serverKeyPair } from '../../utils/suiClient.js';
 import { Transaction } from '@mysten/sui/transactions';
 import schedule from 'node-schedule';
 import { IndividualActiveSubscriptionRegistry, PackageId, ProductRegistry, WalletRegistry } from '../../utils/packageUtils.js';
 import { notifyWebHook } from '../merchants/webhookRoute.js';
 import { bcs } from '@mysten/sui/bcs';
-import { queryEventsWithRetry } from '../../utils/suiUtils.js';
+import { eventCoinType, getMoveFunction, paymentsToOthers, queryEventsWithRetry } from '../../utils/suiUtils.js';
+import { billingTerms, formatPlan, resolvePlan } from '../../utils/productPlans.js';
+import { applyCoupon, redeemCoupon, releaseCoupon, renewalCycles, resolveCoupon } from '../../utils/coupons.js';
+import { claimQuote, createQuote, formatQuote, releaseQuote } from '../../utils/priceQuotes.js';
+import { SUI_COIN_TYPE, sameCoinType, webhookCoinFields } from '../../utils/coinRegistry.js';
+import { claimLink, claimLinkByRef, linkAmount, recordLinkPayment, releaseLink } from '../../utils/paymentLinks.js';
 
 const router = express.Router();
 
 // Map to store scheduled jobs (paymentIntentId -> job)
 const scheduledJobs = new Map();
 
+// trial_ending notices waiting to be sent (paymentIntentId -> job)
+const trialEndingJobs = new Map();
+
+// How long before a trial ends subscribers are warned, at most half of the trial
+const TRIAL_ENDING_NOTICE = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+// How long a renewal that couldn't be charged waits before it is tried again
+const RENEWAL_RETRY = 24 * 60 * 60 * 1000; // 1 day
+
 // Helper function to find and notify webhooks for a product
 async function notifyProductWebhooks(productId, eventData) {
   try {
@@ -24,8 +42,13 @@ async function notifyProductWebhooks(productId, eventData) {
     
     if (webhooks && webhooks.length > 0) {
       const webhookIds = webhooks.map(webhook => webhook.id);
-      // Always set currency to MIST
-      eventData.currency = "MIST";
+      // Report the product's coin so amounts can be read in its smallest unit, unless the
+      // event names the coin that was actually paid
+      const product = await prisma.product.findUnique({
+        where: { id: productId },
+        select: { coinType: true }
+      });
+      Object.assign(eventData, webhookCoinFields(eventData.coinType || (product ? product.coinType : SUI_COIN_TYPE)));
       
       
       return await notifyWebHook(webhookIds, eventData);
@@ -43,8 +66,9 @@ async function notifyProductWebhooks(productId, eventData) {
 async function initializeScheduledJobs() {
   try {
     
+    // Failed renewals are retried like due ones
     const activePaymentIntents = await prisma.paymentIntent.findMany({
-      where: { status: 'ACTIVE' },
+      where: { status: { in: ['ACTIVE', 'FAILED'] } },
       include: { product: true }
     });
     
@@ -58,7 +82,11 @@ async function initializeScheduledJobs() {
         console.log(`Payment intent ${intent.id} is past due. Processing immediately...`);
         try {
           // Process the payment immediately
-          await processRenewal(intent.id);
+          const result = await processRenewal(intent.id);
+          
+          if (result.nextPaymentDue || result.retryAt) {
+            schedulePaymentJob(intent.id, result.nextPaymentDue || result.retryAt);
+          }
         } catch (error) {
           console.error(`Error processing past due payment ${intent.id}:`, error);
         }
@@ -66,6 +94,10 @@ async function initializeScheduledJobs() {
         // Schedule future payments as normal
         schedulePaymentJob(intent.id, intent.nextPaymentDue);
       }
+      
+      if (intent.trialEndsAt && !intent.trialEndingSentAt && intent.trialEndsAt > now) {
+        scheduleTrialEndingNotice(intent);
+      }
     }
     
     
@@ -74,6 +106,65 @@ async function initializeScheduledJobs() {
   }
 }
 
+// Tell the merchant a trial is about to end and the first charge is coming
+async function sendTrialEndingNotice(paymentIntentId) {
+  trialEndingJobs.delete(paymentIntentId);
+  
+  // Claim the notice so it is only sent once, even across restarts
+  const claimed = await prisma.paymentIntent.updateMany({
+    where: { id: paymentIntentId, status: 'ACTIVE', trialEndingSentAt: null },
+    data: { trialEndingSentAt: new Date() }
+  });
+  
+  if (claimed.count === 0) {
+    return;
+  }
+  
+  const intent = await prisma.paymentIntent.findUnique({
+    where: { id: paymentIntentId },
+    include: { product: true, plan: true, user: true }
+  });
+  
+  await notifyProductWebhooks(intent.productId, {
+    productId: intent.productId,
+    planId: intent.planId,
+    ref_id: intent.ref_id,
+    event: "trial_ending",
+    amount: billingTerms(intent.product, intent.plan).amount.toString(),
+    paidOn: null,
+    userId: intent.userId,
+    userWallet: intent.user.wallet,
+    trialEndsAt: intent.trialEndsAt.toISOString(),
+    nextPaymentDue: intent.nextPaymentDue.toISOString()
+  });
+}
+
+// Schedule the trial_ending notice of a subscription that started with a trial
+function scheduleTrialEndingNotice(intent) {
+  cancelTrialEndingNotice(intent.id);
+  
+  const trialLength = intent.trialEndsAt.getTime() - intent.createdAt.getTime();
+  const sendAt = new Date(Math.max(
+    intent.trialEndsAt.getTime() - Math.min(TRIAL_ENDING_NOTICE, trialLength / 2),
+    Date.now() + 1000
+  ));
+  
+  const job = schedule.scheduleJob(sendAt, () => {
+    sendTrialEndingNotice(intent.id).catch(error => {
+      console.error(`Error sending trial ending notice for ${intent.id}:`, error);
+    });
+  });
+  
+  trialEndingJobs.set(intent.id, job);
+}
+
+function cancelTrialEndingNotice(paymentIntentId) {
+  if (trialEndingJobs.has(paymentIntentId)) {
+    trialEndingJobs.get(paymentIntentId).cancel();
+    trialEndingJobs.delete(paymentIntentId);
+  }
+}
+
 // Integrated function to handle unsubscribing and clean up when a subscription fails or is cancelled
 async function handleUnsubscribe(paymentIntentId, shouldNotifyWebhook = true, reason = "unsubscribed") {
   try {
@@ -82,6 +173,7 @@ async function handleUnsubscribe(paymentIntentId, shouldNotifyWebhook = true, re
       where: { id: paymentIntentId },
       include: { 
         product: true, 
+        plan: true,
         user: true 
       }
     });
@@ -139,10 +231,11 @@ async function handleUnsubscribe(paymentIntentId, shouldNotifyWebhook = true, re
     if (shouldNotifyWebhook) {
       await notifyProductWebhooks(paymentIntent.productId, {
         productId: paymentIntent.productId,
+        planId: paymentIntent.planId,
         ref_id: paymentIntent.ref_id,
         event: reason, // "unsubscribed" or "payment_failed"
-        amount: paymentIntent.product.price.toString(),
-        paidOn: paymentIntent.lastPaidOn.toISOString(), // Use the stored lastPaidOn date
+        amount: billingTerms(paymentIntent.product, paymentIntent.plan).amount.toString(),
+        paidOn: paymentIntent.lastPaidOn ? paymentIntent.lastPaidOn.toISOString() : null, // Null if cancelled during a trial
         userId: paymentIntent.userId,
         userWallet: paymentIntent.user.wallet,
         nextPaymentDue: null // Include nextPaymentDue as null for unsubscribe events
@@ -166,6 +259,7 @@ async function handleUnsubscribe(paymentIntentId, shouldNotifyWebhook = true, re
         scheduledJobs.get(paymentIntentId).cancel();
         scheduledJobs.delete(paymentIntentId);
       }
+      cancelTrialEndingNotice(paymentIntentId);
       
       
       
@@ -215,7 +309,7 @@ async function schedulePaymentJob(paymentIntentId, scheduledTime) {
           where: { id: paymentIntentId }
         });
         
-        if (!intent || intent.status !== 'ACTIVE') {
+        if (!intent || (intent.status !== 'ACTIVE' && intent.status !== 'FAILED')) {
           
           scheduledJobs.delete(paymentIntentId);
           return;
@@ -227,8 +321,9 @@ async function schedulePaymentJob(paymentIntentId, scheduledTime) {
         if (result.success && result.nextPaymentDue) {
           // Schedule the next payment
           schedulePaymentJob(paymentIntentId, result.nextPaymentDue);
-        } else {
-          
+        } else if (result.retryAt) {
+          // The renewal couldn't be charged, try again later
+          schedulePaymentJob(paymentIntentId, result.retryAt);
         }
       } catch (error) {
         console.error(`Error processing scheduled payment ${paymentIntentId}:`, error);
@@ -237,17 +332,18 @@ async function schedulePaymentJob(paymentIntentId, scheduledTime) {
           // Get payment intent details for notification
           const paymentIntent = await prisma.paymentIntent.findUnique({
             where: { id: paymentIntentId },
-            include: { product: true, user: true }
+            include: { product: true, plan: true, user: true }
           });
           
           if (paymentIntent) {
             // First notify about payment failure
             await notifyProductWebhooks(paymentIntent.productId, {
               productId: paymentIntent.productId,
+              planId: paymentIntent.planId,
               ref_id: paymentIntent.ref_id,
               event: "payment_failed",
-              amount: paymentIntent.product.price.toString(),
-              paidOn: paymentIntent.lastPaidOn.toISOString(), // Use the stored lastPaidOn date
+              amount: billingTerms(paymentIntent.product, paymentIntent.plan).amount.toString(),
+              paidOn: paymentIntent.lastPaidOn ? paymentIntent.lastPaidOn.toISOString() : null, // Use the stored lastPaidOn date
               userId: paymentIntent.userId,
               userWallet: paymentIntent.user.wallet,
               nextPaymentDue: null // Include nextPaymentDue as null for failed payments
@@ -397,6 +493,58 @@ async function hasActiveSubscription(userId, productId) {
 }
 
 
+// Entry point renewals of a subscription are charged through. Plans, coupons and fiat prices
+// are priced off-chain, so the amount to charge is passed in, and coins other than SUI go
+// through the generic version of the same functions.
+function renewalCall(product, plan, coupon) {
+  const pricedOffChain = Boolean(plan || coupon || product.fiatAmount !== null);
+  
+  return {
+    pricedOffChain,
+    target: pricedOffChain ? 'makePaymentFromIntentWithAmount' : 'makePaymentFromIntent',
+    typeArguments: product.coinType === SUI_COIN_TYPE ? [] : [product.coinType]
+  };
+}
+
+// Why the deployed contract can't charge renewals through this entry point, or null if it can
+async function unsupportedRenewal({ target, typeArguments }) {
+  const moveFunction = await getMoveFunction('payment', target);
+  
+  if (!moveFunction || moveFunction.typeParameters.length !== typeArguments.length) {
+    return `The deployed contract has no payment::${target}${typeArguments.length > 0 ? ' taking a coin type' : ''}`;
+  }
+  
+  return null;
+}
+
+// Mark a subscription whose renewal couldn't be charged as failed, so the subscriber loses
+// access, and have it tried again later. The merchant is told the first time it fails.
+async function failRenewal(intent, reason) {
+  const retryAt = new Date(Date.now() + RENEWAL_RETRY);
+  
+  const marked = await prisma.paymentIntent.updateMany({
+    where: { id: intent.id, status: 'ACTIVE' },
+    data: { status: 'FAILED' }
+  });
+  
+  if (marked.count > 0) {
+    await notifyProductWebhooks(intent.productId, {
+      productId: intent.productId,
+      planId: intent.planId,
+      ref_id: intent.ref_id,
+      event: "payment_failed",
+      reason,
+      amount: billingTerms(intent.product, intent.plan).amount.toString(),
+      paidOn: intent.lastPaidOn ? intent.lastPaidOn.toISOString() : null,
+      userId: intent.userId,
+      userWallet: intent.user.wallet,
+      nextPaymentDue: retryAt.toISOString() // When the renewal is tried again
+    });
+  }
+  
+  return { success: false, reason, retryAt };
+}
+
 // Process a payment renewal
 async function processRenewal(paymentIntentId) {
   try {
@@ -405,11 +553,14 @@ async function processRenewal(paymentIntentId) {
       where: { id: paymentIntentId },
       include: { 
         product: true,
+        plan: true,
+        coupon: true,
         user: true
       }
     });
     
-    if (!intent || intent.status !== 'ACTIVE') {
+    // Failed renewals are retried until they go through or the subscription is cancelled
+    if (!intent || (intent.status !== 'ACTIVE' && intent.status !== 'FAILED')) {
       
       return { success: false, reason: 'Payment intent not active' };
     }
@@ -419,19 +570,58 @@ async function processRenewal(paymentIntentId) {
         include: { Merchant: true }
     });
     
+    const terms = billingTerms(intent.product, intent.plan);
+    
+    // Coupons without cycles left stay linked for the record but no longer discount
+    const coupon = intent.coupon && intent.couponCyclesLeft !== 0 ? intent.coupon : null;
+    const { pricedOffChain, target, typeArguments } = renewalCall(intent.product, intent.plan, coupon);
+    
+    // Against a contract without the entry point the renewal fails rather than being
+    // charged the wrong amount or coin
+    const unsupported = await unsupportedRenewal({ target, typeArguments });
+    if (unsupported) {
+      console.error(`Renewal of ${intent.id} failed: ${unsupported}`);
+      return await failRenewal(intent, unsupported);
+    }
+    
+    // Fiat priced products are converted at the current SUI price every cycle
+    const quote = !intent.plan && intent.product.fiatAmount !== null
+      ? await createQuote(intent.product, intent.userId, { used: true })
+      : null;
+    
+    const charge = applyCoupon(quote ? quote.amount : terms.amount, coupon);
+    
     // Create transaction to call makePaymentFromIntent on the blockchain
     const tx = new Transaction();
-    tx.moveCall({
-      target: `${PackageId}::payment::makePaymentFromIntent`,
-      arguments: [
-        tx.object(intent.productId),
-        tx.object(intent.id), // payment intent ID
-        tx.object(intent.user.wallet), // user wallet
-        tx.object(product.Merchant.wallet),
-        tx.object(product.subscribersRegistry), // amount to pay
-        tx.object("0x6")
-      ],
-    });
+    if (pricedOffChain) {
+      // Plans, coupons and fiat prices are priced off-chain, so the amount to charge is passed in
+      tx.moveCall({
+        target: `${PackageId}::payment::${target}`,
+        typeArguments,
+        arguments: [
+          tx.object(intent.productId),
+          tx.object(intent.id), // payment intent ID
+          tx.object(intent.user.wallet), // user wallet
+          tx.object(product.Merchant.wallet),
+          tx.object(product.subscribersRegistry),
+          tx.pure.u64(charge.amount), // amount to pay
+          tx.object("0x6")
+        ],
+      });
+    } else {
+      tx.moveCall({
+        target: `${PackageId}::payment::${target}`,
+        typeArguments,
+        arguments: [
+          tx.object(intent.productId),
+          tx.object(intent.id), // payment intent ID
+          tx.object(intent.user.wallet), // user wallet
+          tx.object(product.Merchant.wallet),
+          tx.object(product.subscribersRegistry), // amount to pay
+          tx.object("0x6")
+        ],
+      });
+    }
     
     // Execute transaction with server key pair
     const result = await sui.signAndExecuteTransaction({
@@ -450,16 +640,21 @@ async function processRenewal(paymentIntentId) {
       throw new Error('Payment transaction successful but no receipt event found');
     }
     
+    // Record what the chain actually charged
+    const amount = BigInt(paymentReceiptEvent.parsedJson.amount);
+    
     // Handle successful payment
     const lastPaidOn = new Date();
-    const nextPaymentDue = new Date(lastPaidOn.getTime() + (intent.product.recurringPeriod));
+    const nextPaymentDue = new Date(lastPaidOn.getTime() + (terms.recurringPeriod));
     
     // Update payment intent with new dates
     await prisma.paymentIntent.update({
       where: { id: intent.id },
       data: {
         lastPaidOn,
-        nextPaymentDue
+        nextPaymentDue,
+        status: 'ACTIVE', // A retried renewal restores access
+        ...(coupon && intent.couponCyclesLeft !== null && { couponCyclesLeft: intent.couponCyclesLeft - 1 })
       }
     });
     
@@ -477,18 +672,26 @@ async function processRenewal(paymentIntentId) {
         productId: intent.productId,
         ref_id: intent.ref_id,
         owner: intent.user.wallet,
-        amount: intent.product.price,
+        amount,
+        coinType: intent.product.coinType,
         userId: intent.userId,
-        intentId: intent.id
+        intentId: intent.id,
+        planId: intent.planId,
+        couponId: coupon ? coupon.id : null,
+        discount: coupon ? charge.discount : null,
+        quoteId: quote ? quote.id : null
       }
     });
     
     // Notify webhooks about successful payment
     await notifyProductWebhooks(intent.productId, {
       productId: intent.productId,
+      planId: intent.planId,
       ref_id: intent.ref_id,
       event: "payment_success",
-      amount: intent.product.price.toString(),
+      amount: amount.toString(),
+      couponId: receipt.couponId,
+      discount: charge.discount.toString(),
       receiptId: receipt.id,
       paidOn: lastPaidOn.toISOString(),
       userId: intent.userId,
@@ -509,17 +712,18 @@ async function processRenewal(paymentIntentId) {
       // Get payment intent details for notification
       const paymentIntent = await prisma.paymentIntent.findUnique({
         where: { id: paymentIntentId },
-        include: { product: true, user: true }
+        include: { product: true, plan: true, user: true }
       });
       
       if (paymentIntent) {
         // First notify about payment failure
         await notifyProductWebhooks(paymentIntent.productId, {
           productId: paymentIntent.productId,
+          planId: paymentIntent.planId,
           ref_id: paymentIntent.ref_id,
           event: "payment_failed",
-          amount: paymentIntent.product.price.toString(),
-          paidOn: paymentIntent.lastPaidOn.toISOString(), // Use the stored lastPaidOn date
+          amount: billingTerms(paymentIntent.product, paymentIntent.plan).amount.toString(),
+          paidOn: paymentIntent.lastPaidOn ? paymentIntent.lastPaidOn.toISOString() : null, // Use the stored lastPaidOn date
           userId: paymentIntent.userId,
           userWallet: paymentIntent.user.wallet,
           nextPaymentDue: null // Include nextPaymentDue as null for failed payments
@@ -541,16 +745,9 @@ initializeScheduledJobs();
 
 
 // Endpoint to send test webhook data
-router.post('/send-test-webhook', authMiddleware, async (req, res) => {
+router.post('/send-test-webhook', authMiddleware, validate(sendTestWebhook), requireRole('DEVELOPER'), requireScope('webhooks:write'), requireOwnerOf('product'), async (req, res) => {
   try {
-    const { productId, event, amount, ref_id, userId, userWallet } = req.body;
-    
-    if (!productId) {
-      return res.status(400).send({
-        error: "Missing required field",
-        message: "Product ID is required"
-      });
-    }
+    const { productId, event, amount, ref_id, userId, userWallet, planId } = req.body;
     
     // Find the product in database
     const product = await prisma.product.findUnique({
@@ -573,19 +770,11 @@ router.post('/send-test-webhook', authMiddleware, async (req, res) => {
         wallet: userWallet
       };
     } else {
-      // Get the current user from auth middleware
-      const currentUserId = req.id;
-      const user = await prisma.user.findUnique({
-        where: { id: currentUserId }
-      });
-      
-      if (!user) {
-        return res.status(404).send({
-          error: "User not found",
-          message: "User not found"
-        });
-      }
-      userData = user;
+      // Only the owning merchant can send test webhooks, so use its own account as sample user data
+      userData = {
+        id: product.Merchant.id,
+        wallet: product.Merchant.wallet
+      };
     }
     
     // Generate UUID-format receipt ID
@@ -609,6 +798,7 @@ router.post('/send-test-webhook', authMiddleware, async (req, res) => {
     // Prepare test webhook data that exactly matches the format
     const webhookData = {
       productId,
+      planId: planId || null,
       ref_id: webhookRefId,
       event: webhookEvent,
       amount: webhookAmount,
@@ -617,7 +807,7 @@ router.post('/send-test-webhook', authMiddleware, async (req, res) => {
       userId: userData.id,
       userWallet: userData.wallet,
       nextPaymentDue: webhookEvent === "payment_success" ? nextPaymentDue.toISOString() : null,
-      currency: "MIST",
+      ...webhookCoinFields(product.coinType),
       test: true // Add test flag to indicate this is test data
     };
     
@@ -639,16 +829,14 @@ router.post('/send-test-webhook', authMiddleware, async (req, res) => {
   }
 });
 // The payment processing route
-router.post('/pay', authMiddleware, async (req, res) => {
+router.post('/pay', rateLimit('pay'), authMiddleware, validate(pay), requireUser, rateLimit('payAccount', byAccount), async (req, res) => {
+  // Coupon redemption, price quote and link redemption held for this payment, given back unless the payment used them
+  let heldCoupon = null;
+  let heldQuote = null;
+  let heldLink = null;
     
   try {
-    const { bytes, signature } = req.body;
-    if (!bytes || !signature) {
-      return res.status(400).send({
-        error: "Missing required field",
-        message: "Transaction block and signature are required"
-      });
-    }
+    const { bytes, signature, planId, couponCode, quoteId, linkId } = req.body;
     const productIdCheck =await extractProductIdFromTransactionBytes(bytes);
    
     const productCheck = await prisma.product.findUnique({
@@ -662,6 +850,30 @@ router.post('/pay', authMiddleware, async (req, res) => {
       });
     }
     
+    if (productCheck.archivedAt) {
+      return res.status(410).send({
+        error: "Product archived",
+        message: "This product is no longer for sale"
+      });
+    }
+    
+    // Check the chosen plan before any money moves
+    const planCheck = await resolvePlan(productCheck, planId);
+    if (!planCheck.success) {
+      return res.status(400).send({
+        error: "Invalid plan",
+        message: planCheck.reason
+      });
+    }
+    
+    const couponCheck = await resolveCoupon(productCheck, couponCode);
+    if (!couponCheck.success) {
+      return res.status(400).send({
+        error: "Invalid coupon",
+        message: couponCheck.reason
+      });
+    }
+    
     // If it's a subscription product, check if user already has an active subscription
     // before executing the blockchain transaction
     if (productCheck.productType === 'SUBSCRIPTION') {
@@ -677,6 +889,127 @@ router.post('/pay', authMiddleware, async (req, res) => {
           productIdCheck
         });
       }
+      
+      // The server charges the renewals, so only terms the deployed contract can renew are sold
+      const renewingCoupon = couponCheck.coupon && renewalCycles(couponCheck.coupon) !== 0 ? couponCheck.coupon : null;
+      const unsupported = await unsupportedRenewal(renewalCall(productCheck, planCheck.plan, renewingCoupon));
+      if (unsupported) {
+        return res.status(501).send({
+          error: "Not supported by the contract",
+          message: `Renewals of this subscription can't be charged: ${unsupported}`
+        });
+      }
+    }
+    
+    // Dry run the transaction first, so one that doesn't charge the right amount is
+    // turned away before any money moves
+    const dryRun = await sui.dryRunTransactionBlock({ transactionBlock: bytes });
+    if (dryRun.effects.status.status !== 'success') {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: `Transaction dry run failed: ${dryRun.effects.status.error}`
+      });
+    }
+    
+    const dryRunReceiptEvent = (dryRun.events || []).find(event =>
+      event.type.includes('::payment::PaymentReceiptEvent')
+    );
+    const dryRunReceipt = dryRunReceiptEvent?.parsedJson;
+    
+    if (!dryRunReceipt || dryRunReceipt.productId !== productCheck.id) {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: "The transaction doesn't pay for this product"
+      });
+    }
+    
+    // Amounts are in the smallest unit of the product's coin, so the same number paid in
+    // another coin is a different price
+    if (!sameCoinType(eventCoinType(dryRunReceiptEvent), productCheck.coinType)) {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: "The transaction doesn't pay in the product's coin"
+      });
+    }
+    
+    // Hold a redemption of the payment link, so single-use and limited links can't be
+    // paid more often than allowed by concurrent buyers. A payment with the ref_id of a
+    // link goes through that link even when its ID wasn't sent.
+    const linkCheck = linkId
+      ? await claimLink(linkId, productCheck.id)
+      : await claimLinkByRef(productCheck.id, dryRunReceipt.ref_id);
+    if (!linkCheck.success) {
+      return res.status(linkCheck.status).send({
+        error: linkCheck.status === 404 ? "Link not found" : "Link no longer valid",
+        message: linkCheck.reason
+      });
+    }
+    const link = heldLink = linkCheck.link;
+    
+    if (link && link.ref_id !== dryRunReceipt.ref_id) {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: "The transaction's ref_id doesn't match the payment link"
+      });
+    }
+    
+    // Fiat priced products are paid at a quoted SUI amount, unless a plan or the link sets the price
+    let quote = null;
+    if (productCheck.fiatAmount !== null && !planCheck.plan && !(link && link.amount !== null)) {
+      if (!quoteId) {
+        return res.status(400).send({
+          error: "Price quote required",
+          message: "This product is priced in fiat, request a quote from /api/quote first"
+        });
+      }
+      
+      const quoteCheck = await claimQuote(quoteId, req.id, productCheck.id);
+      if (!quoteCheck.success) {
+        return res.status(400).send({
+          error: "Invalid price quote",
+          message: quoteCheck.reason
+        });
+      }
+      quote = heldQuote = quoteCheck.quote;
+    }
+    
+    // The transaction must charge the chosen plan or the link's price, less the coupon's
+    // discount. Without a plan the price is the quoted amount for fiat priced products,
+    // changed by the link's quantity or amount.
+    const baseAmount = (() => {
+      if (planCheck.plan) {
+        return planCheck.plan.amount;
+      }
+      if (link && link.amount !== null) {
+        return link.amount;
+      }
+      // Fiat priced products are only ever sold at the quoted amount, never their stored price
+      if (productCheck.fiatAmount !== null && !quote) {
+        return null;
+      }
+      const price = quote ? quote.amount : productCheck.price;
+      return link ? linkAmount(link, price) : price;
+    })();
+    const charge = baseAmount === null ? null : applyCoupon(baseAmount, couponCheck.coupon);
+    const matchesCharge = (ref_id, amount) =>
+      charge !== null && charge.amount === BigInt(amount) && (!link || link.ref_id === ref_id);
+    
+    if (!matchesCharge(dryRunReceipt.ref_id, dryRunReceipt.amount)) {
+      return res.status(400).send({
+        error: "Amount mismatch",
+        message: "The transaction doesn't charge the price of the chosen plan, coupon and link"
+      });
+    }
+    
+    // Hold a redemption so a limited coupon can't be used more often than allowed
+    if (couponCheck.coupon) {
+      if (!await redeemCoupon(couponCheck.coupon)) {
+        return res.status(409).send({
+          error: "Invalid coupon",
+          message: "This coupon has been fully redeemed"
+        });
+      }
+      heldCoupon = couponCheck.coupon;
     }
     
     // Execute the transaction
@@ -748,6 +1081,31 @@ router.post('/pay', authMiddleware, async (req, res) => {
       });
     }
     
+    // Checked again on what was executed. The money has moved either way, so a payment that
+    // didn't charge what was expected is still recorded, flagged for the merchant to settle,
+    // and keeps its coupon, quote and link redemptions.
+    const paidCoinType = eventCoinType(paymentReceiptEvent);
+    const mismatch = productId !== productCheck.id || !matchesCharge(ref_id, amount) || !sameCoinType(paidCoinType, productCheck.coinType);
+    if (mismatch) {
+      console.error(`Payment ${digest} did not charge the chosen plan, coupon and link in the product's coin, recording it as a mismatch`);
+    }
+    const plan = planCheck.plan;
+    const coupon = couponCheck.coupon;
+    
+    const { discount } = charge;
+    if (coupon) {
+      heldCoupon = null;
+    }
+    if (link) {
+      heldLink = null;
+    }
+    
+    // The quote was honoured if the charge was based on it
+    const quoteUsed = quote && !plan && !(link && link.amount !== null);
+    if (quoteUsed) {
+      heldQuote = null;
+    }
+    
     // Create a receipt record
     const receipt = await prisma.receipt.create({
       data: {
@@ -755,10 +1113,53 @@ router.post('/pay', authMiddleware, async (req, res) => {
         ref_id,
         owner,
         amount: BigInt(amount),
+        coinType: sameCoinType(paidCoinType, product.coinType) ? product.coinType : paidCoinType,
         userId: user.id,
+        planId: plan ? plan.id : null,
+        couponId: coupon ? coupon.id : null,
+        discount: coupon ? discount : null,
+        quoteId: quoteUsed ? quote.id : null,
+        linkId: link ? link.id : null,
+        mismatch
       }
     });
     
+    // Usage tracking only, a failure here must not fail a payment that went through
+    if (receipt.linkId) {
+      await recordLinkPayment(receipt.linkId).catch(error => {
+        console.error('Error recording payment link usage:', error);
+      });
+    }
+    
+    // No subscription is started for a mismatched payment, the merchant decides how to settle it
+    if (mismatch) {
+      await notifyProductWebhooks(productId, {
+        productId,
+        planId: receipt.planId,
+        ref_id,
+        event: "payment_mismatch",
+        amount: amount.toString(),
+        coinType: receipt.coinType,
+        expectedAmount: charge.amount.toString(),
+        expectedCoinType: productCheck.coinType,
+        couponId: receipt.couponId,
+        discount: discount.toString(),
+        linkId: receipt.linkId,
+        receiptId: receipt.id,
+        paidOn: new Date(parseInt(paidon)).toISOString(),
+        userId: user.id,
+        userWallet: user.wallet,
+        nextPaymentDue: null
+      });
+      
+      return res.status(400).send({
+        error: "Amount mismatch",
+        message: "The payment went through without charging the price of the chosen plan, coupon and link in the product's coin. It was recorded for the merchant to settle.",
+        receiptId: receipt.id,
+        digest
+      });
+    }
+    
     // Check if this is a subscription (recurring) payment
     if (product.productType === 'SUBSCRIPTION') {
       // Look for the PaymentIntentCreationEvent
@@ -770,7 +1171,7 @@ router.post('/pay', authMiddleware, async (req, res) => {
         const { intentId, lastPaidOn } = paymentIntentEvent.parsedJson;
         
         // Calculate when the next payment is due
-        const nextPaymentDue = new Date(parseInt(lastPaidOn) + (product.recurringPeriod));
+        const nextPaymentDue = new Date(parseInt(lastPaidOn) + billingTerms(product, plan).recurringPeriod);
         
         // Create or update the payment intent
         const paymentIntent = await prisma.paymentIntent.upsert({
@@ -778,6 +1179,9 @@ router.post('/pay', authMiddleware, async (req, res) => {
           update: {
             lastPaidOn: new Date(parseInt(lastPaidOn)),
             nextPaymentDue,
+            planId: plan ? plan.id : null,
+            couponId: coupon ? coupon.id : null,
+            couponCyclesLeft: coupon ? renewalCycles(coupon) : null,
             status: 'ACTIVE',
           },
           create: {
@@ -787,6 +1191,9 @@ router.post('/pay', authMiddleware, async (req, res) => {
             lastPaidOn: new Date(parseInt(lastPaidOn)),
             nextPaymentDue,
             ref_id,
+            planId: plan ? plan.id : null,
+            couponId: coupon ? coupon.id : null,
+            couponCyclesLeft: coupon ? renewalCycles(coupon) : null,
             status: 'ACTIVE',
           }
         });
@@ -808,9 +1215,13 @@ router.post('/pay', authMiddleware, async (req, res) => {
         // Notify webhooks about successful payment
         await notifyProductWebhooks(productId, {
           productId,
+          planId: paymentIntent.planId,
           ref_id,
           event: "payment_success",
           amount: amount.toString(),
+          couponId: receipt.couponId,
+          discount: discount.toString(),
+          linkId: receipt.linkId,
           receiptId: receipt.id,
           paidOn: new Date(parseInt(paidon)).toISOString(),
           userId: user.id,
@@ -825,7 +1236,9 @@ router.post('/pay', authMiddleware, async (req, res) => {
           success: true,
           message: "Subscription payment processed successfully",
           receiptId: receipt.id,
+          discount: discount.toString(),
           paymentIntentId: paymentIntent.id,
+          planId: paymentIntent.planId,
           nextPaymentDue: nextPaymentDue.toISOString()
         });
       }
@@ -833,9 +1246,13 @@ router.post('/pay', authMiddleware, async (req, res) => {
       // For one-time payment, send webhook notification
       await notifyProductWebhooks(productId, {
         productId,
+        planId: receipt.planId,
         ref_id,
         event: "payment_success",
         amount: amount.toString(),
+        couponId: receipt.couponId,
+        discount: discount.toString(),
+        linkId: receipt.linkId,
         receiptId: receipt.id,
         paidOn: new Date(parseInt(paidon)).toISOString(),
         userId: user.id,
@@ -848,7 +1265,8 @@ router.post('/pay', authMiddleware, async (req, res) => {
     return res.status(200).send({
       success: true,
       message: "One-time payment processed successfully",
-      receiptId: receipt.id
+      receiptId: receipt.id,
+      discount: discount.toString()
     });
     
   } catch (err) {
@@ -857,20 +1275,295 @@ router.post('/pay', authMiddleware, async (req, res) => {
       error: "Payment processing error",
       message: err.message || String(err)
     });
+  } finally {
+    if (heldCoupon) {
+      await releaseCoupon(heldCoupon.id).catch(error => {
+        console.error('Error releasing coupon redemption:', error);
+      });
+    }
+    if (heldQuote) {
+      await releaseQuote(heldQuote.id).catch(error => {
+        console.error('Error releasing price quote:', error);
+      });
+    }
+    if (heldLink) {
+      await releaseLink(heldLink.id).catch(error => {
+        console.error('Error releasing payment link redemption:', error);
+      });
+    }
   }
 });
 
-// Add route for unsubscribing from a product
-router.post('/unsubscribe', authMiddleware, async (req, res) => {
+// Lock in the SUI amount of a fiat priced product for a few minutes. The quote ID
+// is then passed to /pay, whose transaction must charge the quoted amount.
+router.post('/quote', rateLimit('price'), authMiddleware, validate(createQuoteSchema), requireUser, async (req, res) => {
   try {
-    const { bytes, signature } = req.body;
-    if (!bytes || !signature) {
+    const product = await prisma.product.findUnique({
+      where: { id: req.body.productId }
+    });
+    
+    if (!product) {
+      return res.status(404).send({
+        error: "Product not found",
+        message: "The product doesn't exist in the database"
+      });
+    }
+    
+    if (product.archivedAt) {
+      return res.status(410).send({
+        error: "Product archived",
+        message: "This product is no longer for sale"
+      });
+    }
+    
+    if (product.fiatAmount === null) {
       return res.status(400).send({
-        error: "Missing required field",
-        message: "Transaction block and signature are required"
+        error: "Not a fiat priced product",
+        message: "This product is priced in MIST and needs no quote"
+      });
+    }
+    
+    const quote = await createQuote(product, req.id);
+    
+    return res.status(201).send({
+      success: true,
+      quote: formatQuote(quote)
+    });
+  } catch (err) {
+    console.error("Error creating price quote:", err);
+    return res.status(400).send({
+      error: "Error creating price quote",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Start a subscription with a free trial. The signed transaction creates the payment
+// intent without charging, and the first payment is taken when the trial ends.
+router.post('/start-trial', rateLimit('pay'), authMiddleware, validate(startTrial), requireUser, rateLimit('payAccount', byAccount), async (req, res) => {
+  let redemption = null;
+  
+  try {
+    const { bytes, signature, planId } = req.body;
+    const productIdCheck = await extractProductIdFromTransactionBytes(bytes);
+    
+    const product = await prisma.product.findUnique({
+      where: { id: productIdCheck }
+    });
+    
+    if (!product) {
+      return res.status(404).send({
+        error: "Product not found",
+        message: "The product doesn't exist in the database"
+      });
+    }
+    
+    if (product.archivedAt) {
+      return res.status(410).send({
+        error: "Product archived",
+        message: "This product is no longer for sale"
+      });
+    }
+    
+    if (product.productType !== 'SUBSCRIPTION' || !product.trialDays) {
+      return res.status(400).send({
+        error: "No trial available",
+        message: "This product doesn't offer a free trial"
+      });
+    }
+    
+    const planCheck = await resolvePlan(product, planId);
+    if (!planCheck.success) {
+      return res.status(400).send({
+        error: "Invalid plan",
+        message: planCheck.reason
+      });
+    }
+    
+    if (await hasActiveSubscription(req.id, product.id)) {
+      return res.status(409).send({
+        error: "Subscription already exists",
+        message: "You already have an active subscription for this product"
+      });
+    }
+    
+    // The first charge at the end of the trial is a renewal the server makes
+    const unsupported = await unsupportedRenewal(renewalCall(product, planCheck.plan, null));
+    if (unsupported) {
+      return res.status(501).send({
+        error: "Not supported by the contract",
+        message: `Renewals of this subscription can't be charged: ${unsupported}`
+      });
+    }
+    
+    // The intent must be created for this product and the signed-in user, checked on a dry
+    // run so an intent for anything else is never created through this route
+    const dryRun = await sui.dryRunTransactionBlock({ transactionBlock: bytes });
+    if (dryRun.effects.status.status !== 'success') {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: `Transaction dry run failed: ${dryRun.effects.status.error}`
+      });
+    }
+    
+    const dryRunIntentEvent = (dryRun.events || []).find(event =>
+      event.type.includes('::payment::PaymentIntentCreationEvent')
+    );
+    const dryRunIntent = dryRunIntentEvent?.parsedJson;
+    
+    if (!dryRunIntent || dryRunIntent.productId !== product.id || dryRunIntent.owner !== req.id) {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: "The transaction doesn't create a payment intent for this product and user"
+      });
+    }
+    
+    // Renewals are charged in the coin the intent was created for
+    if (!sameCoinType(eventCoinType(dryRunIntentEvent), product.coinType)) {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: "The transaction doesn't create a payment intent in the product's coin"
+      });
+    }
+    
+    // Nothing is charged during a trial, the first payment is taken when it ends. Payments from
+    // a SuiPay wallet show up as receipt events, coins sent elsewhere as balance changes.
+    const charged = (dryRun.events || []).some(event => event.type.includes('::payment::PaymentReceiptEvent'));
+    if (charged || paymentsToOthers(dryRun, req.id).length > 0) {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: "A free trial can't be started with a transaction that makes a payment"
       });
     }
     
+    // Use up the trial before executing, so concurrent requests can't start two
+    const redeemed = await prisma.trialRedemption.createMany({
+      data: [{ userId: req.id, productId: product.id }],
+      skipDuplicates: true
+    });
+    
+    if (redeemed.count === 0) {
+      return res.status(409).send({
+        error: "Trial already used",
+        message: "You have already had a free trial of this product"
+      });
+    }
+    redemption = { userId: req.id, productId: product.id };
+    
+    const transResult = await sui.executeTransactionBlock({
+      transactionBlock: bytes,
+      signature: signature,
+      options: {
+        showEvents: true,
+      },
+    });
+    
+    const digest = transResult.digest;
+    if (await doesDigestExist(digest)) {
+      return res.status(409).send({
+        error: "Duplicate transaction",
+        message: "This transaction has already been processed",
+        digest
+      });
+    }
+    
+    const eventsResult = await queryEventsWithRetry(digest);
+    
+    const paymentIntentEvent = eventsResult.data.find(event => 
+      event.type.includes('::payment::PaymentIntentCreationEvent')
+    );
+    
+    if (!paymentIntentEvent || !paymentIntentEvent.parsedJson) {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: "Payment intent creation event not found in transaction"
+      });
+    }
+    
+    const { intentId, ref_id, productId, owner } = paymentIntentEvent.parsedJson;
+    
+    if (productId !== product.id || owner !== req.id || !sameCoinType(eventCoinType(paymentIntentEvent), product.coinType)) {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: "The transaction doesn't create a payment intent for this product and user in the product's coin"
+      });
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: { id: req.id }
+    });
+    
+    // The trial replaces the first period, so the first charge is due when it ends
+    const trialEndsAt = new Date(Date.now() + product.trialDays * 24 * 60 * 60 * 1000);
+    const plan = planCheck.plan;
+    
+    const paymentIntent = await prisma.paymentIntent.create({
+      data: {
+        id: intentId,
+        userId: user.id,
+        productId: product.id,
+        lastPaidOn: null,
+        nextPaymentDue: trialEndsAt,
+        trialEndsAt,
+        ref_id,
+        planId: plan ? plan.id : null,
+        status: 'ACTIVE',
+      }
+    });
+    redemption = null;
+    
+    await prisma.transactionDigest.create({
+      data: {
+        digest,
+        paymentIntentId: intentId,
+      }
+    });
+    
+    await notifyProductWebhooks(product.id, {
+      productId: product.id,
+      planId: paymentIntent.planId,
+      ref_id,
+      event: "trial_started",
+      amount: billingTerms(product, plan).amount.toString(),
+      paidOn: null,
+      userId: user.id,
+      userWallet: user.wallet,
+      trialEndsAt: trialEndsAt.toISOString(),
+      nextPaymentDue: trialEndsAt.toISOString()
+    });
+    
+    await schedulePaymentJob(intentId, trialEndsAt);
+    scheduleTrialEndingNotice(paymentIntent);
+    
+    return res.status(200).send({
+      success: true,
+      message: "Free trial started successfully",
+      paymentIntentId: paymentIntent.id,
+      planId: paymentIntent.planId,
+      trialEndsAt: trialEndsAt.toISOString(),
+      nextPaymentDue: trialEndsAt.toISOString()
+    });
+  } catch (err) {
+    console.error("Trial start error:", err);
+    return res.status(400).send({
+      error: "Trial start error",
+      message: err.message || String(err)
+    });
+  } finally {
+    // Give the trial back if no subscription was recorded
+    if (redemption) {
+      await prisma.trialRedemption.deleteMany({ where: redemption }).catch(error => {
+        console.error('Error releasing trial redemption:', error);
+      });
+    }
+  }
+});
+
+// Add route for unsubscribing from a product
+router.post('/unsubscribe', authMiddleware, validate(signedTransaction), requireUser, async (req, res) => {
+  try {
+    const { bytes, signature } = req.body;
+
     // Execute the transaction
     const transResult = await sui.executeTransactionBlock({
       transactionBlock: bytes,
@@ -908,10 +1601,11 @@ router.post('/unsubscribe', authMiddleware, async (req, res) => {
       if (productId) {
         await notifyProductWebhooks(productId, {
           productId,
+          planId: paymentIntentDetails ? paymentIntentDetails.planId : null,
           ref_id,
           event: "unsubscribed",
           amount: amount.toString(),
-          paidOn: paymentIntentDetails ? paymentIntentDetails.lastPaidOn.toISOString() : new Date().toISOString(), // Use lastPaidOn when available
+          paidOn: paymentIntentDetails ? (paymentIntentDetails.lastPaidOn ? paymentIntentDetails.lastPaidOn.toISOString() : null) : new Date().toISOString(), // Use lastPaidOn when available
           userId: user ? user.id : owner,
           userWallet: user ? user.wallet : owner,
           nextPaymentDue: null // Include nextPaymentDue as null for unsubscribe events
@@ -933,6 +1627,7 @@ router.post('/unsubscribe', authMiddleware, async (req, res) => {
         scheduledJobs.get(intentId).cancel();
         scheduledJobs.delete(intentId);
       }
+      cancelTrialEndingNotice(intentId);
       
       return res.status(200).send({
         success: true,
@@ -955,25 +1650,10 @@ router.post('/unsubscribe', authMiddleware, async (req, res) => {
 });
 
 // Route for manually triggering subscription cancellation from backend
-router.post('/cancel-subscription/:paymentIntentId', authMiddleware, async (req, res) => {
+router.post('/cancel-subscription/:paymentIntentId', authMiddleware, validate(cancelSubscription), requireUser, requireOwnerOf('paymentIntent'), async (req, res) => {
   try {
     const { paymentIntentId } = req.params;
     
-    // Verify the payment intent exists and belongs to this user
-    const paymentIntent = await prisma.paymentIntent.findFirst({
-      where: {
-        id: paymentIntentId,
-        userId: req.id
-      }
-    });
-    
-    if (!paymentIntent) {
-      return res.status(404).send({
-        error: "Subscription not found",
-        message: "The subscription doesn't exist or doesn't belong to this user"
-      });
-    }
-    
     // Handle the unsubscribe process
     const result = await handleUnsubscribe(paymentIntentId);
     
@@ -997,7 +1677,7 @@ router.post('/cancel-subscription/:paymentIntentId', authMiddleware, async (req,
   }
 });
 
-router.get('/my-subscriptions', authMiddleware, async (req, res) => {
+router.get('/my-subscriptions', authMiddleware, requireUser, async (req, res) => {
   try {
     const userId = req.id;
     
@@ -1008,7 +1688,8 @@ router.get('/my-subscriptions', authMiddleware, async (req, res) => {
         status: 'ACTIVE'
       },
       include: {
-        product: true
+        product: true,
+        plan: true
       }
     });
     
@@ -1018,7 +1699,8 @@ router.get('/my-subscriptions', authMiddleware, async (req, res) => {
       product: {
         ...sub.product,
         price: sub.product.price.toString() // Convert BigInt to string
-      }
+      },
+      plan: sub.plan ? formatPlan(sub.plan) : null
     }));
     
     return res.status(200).send({
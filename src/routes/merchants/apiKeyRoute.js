@@ -0,0 +1,96 @@
+import express from 'express';
+import prisma from '../../prismaClient.js';
+import authMiddleware from '../../middleware/authMiddleware.js';
+import { rejectApiKeys, requireOwnerOf, requireRole } from '../../middleware/authorize.js';
+import requireFreshTotp from '../../middleware/requireTotp.js';
+import { createApiKey } from '../../utils/apiKeyUtils.js';
+import validate from '../../middleware/validate.js';
+import { createApiKey as createApiKeySchema, revokeApiKey } from '../../schemas/apiKeys.js';
+
+const router = express.Router();
+
+// Format an API key record for responses (never includes the hash)
+const formatApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  type: apiKey.type,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+// Create a new API key (only from a merchant login, so a leaked key cannot mint new ones)
+router.post('/', authMiddleware, validate(createApiKeySchema), rejectApiKeys, requireRole('DEVELOPER'), requireFreshTotp, async (req, res) => {
+  try {
+    const { name, type, scopes } = req.body;
+
+    const { apiKey, key } = await createApiKey(req.id, name, type, scopes);
+
+    res.status(201).send({
+      success: true,
+      apiKey: {
+        ...formatApiKey(apiKey),
+        key // Return the plaintext key for the merchant to save
+      },
+      message: "Please save this key as it will only be shown once"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error creating API key",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// List all API keys for the merchant
+router.get('/', authMiddleware, rejectApiKeys, requireRole('DEVELOPER'), async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { merchantId: req.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).send({
+      success: true,
+      count: apiKeys.length,
+      apiKeys: apiKeys.map(formatApiKey)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error fetching API keys",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', authMiddleware, validate(revokeApiKey), rejectApiKeys, requireRole('DEVELOPER'), requireOwnerOf('apiKey'), requireFreshTotp, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const apiKey = req.resource;
+
+    // Keep the row so lastUsedAt remains auditable
+    const revokedKey = await prisma.apiKey.update({
+      where: { id },
+      data: { revokedAt: apiKey.revokedAt || new Date() }
+    });
+
+    res.status(200).send({
+      success: true,
+      apiKey: formatApiKey(revokedKey),
+      message: "API key revoked successfully"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error revoking API key",
+      message: err.message || String(err)
+    });
+  }
+});
+
+export default router;
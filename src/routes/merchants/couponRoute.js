@@ -0,0 +1,106 @@
+import express from 'express';
+import prisma from '../../prismaClient.js';
+import authMiddleware from '../../middleware/authMiddleware.js';
+import { requireMerchant, requireOwnerOf, requireRole, requireScope } from '../../middleware/authorize.js';
+import validate from '../../middleware/validate.js';
+import { createCoupon, archiveCoupon } from '../../schemas/coupons.js';
+import { formatCoupon } from '../../utils/coupons.js';
+
+const router = express.Router();
+
+// Create a coupon code for the merchant's products
+router.post('/', authMiddleware, validate(createCoupon), requireRole('DEVELOPER', 'FINANCE'), requireScope('coupons:write'), async (req, res) => {
+  try {
+    const { code, productIds } = req.body;
+
+    // Restrictions may only name the merchant's own products
+    if (productIds.length > 0) {
+      const owned = await prisma.product.count({
+        where: { id: { in: productIds }, merchantId: req.id }
+      });
+
+      if (owned !== new Set(productIds).size) {
+        return res.status(400).send({
+          error: "Invalid products",
+          message: "Coupons can only be restricted to your own products"
+        });
+      }
+    }
+
+    const existing = await prisma.coupon.findUnique({
+      where: { merchantId_code: { merchantId: req.id, code } }
+    });
+
+    if (existing) {
+      return res.status(409).send({
+        error: "Coupon already exists",
+        message: "You already have a coupon with this code"
+      });
+    }
+
+    const coupon = await prisma.coupon.create({
+      data: {
+        ...req.body,
+        productIds: [...new Set(productIds)],
+        merchantId: req.id
+      }
+    });
+
+    res.status(201).send({
+      success: true,
+      coupon: formatCoupon(coupon)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error creating coupon",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// List all coupons of the merchant
+router.get('/', authMiddleware, requireMerchant, requireScope('coupons:read'), async (req, res) => {
+  try {
+    const coupons = await prisma.coupon.findMany({
+      where: { merchantId: req.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).send({
+      success: true,
+      count: coupons.length,
+      coupons: coupons.map(formatCoupon)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error fetching coupons",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Stop accepting a coupon. Subscriptions already using it keep their discount.
+router.delete('/:id', authMiddleware, validate(archiveCoupon), requireRole('DEVELOPER', 'FINANCE'), requireScope('coupons:write'), requireOwnerOf('coupon'), async (req, res) => {
+  try {
+    const coupon = await prisma.coupon.update({
+      where: { id: req.resource.id },
+      data: { archivedAt: req.resource.archivedAt || new Date() }
+    });
+
+    res.status(200).send({
+      success: true,
+      coupon: formatCoupon(coupon),
+      message: "Coupon archived successfully"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error archiving coupon",
+      message: err.message || String(err)
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,270 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import prisma from '../../prismaClient.js';
+import authMiddleware from '../../middleware/authMiddleware.js';
+import { rejectApiKeys, requireOwnerOf, requireRole } from '../../middleware/authorize.js';
+import requireFreshTotp from '../../middleware/requireTotp.js';
+import { issueTokens, revokeMemberTokens } from '../../utils/tokenUtils.js';
+import { consumeEmailToken, createEmailToken, invalidateEmailTokens } from '../../utils/emailTokens.js';
+import { sendMail } from '../../utils/mailer/index.js';
+import { memberInviteEmail } from '../../utils/mailer/messages.js';
+import { rateLimit, loginLockout, recordLoginFailure, clearLoginFailures } from '../../middleware/rateLimit.js';
+import validate from '../../middleware/validate.js';
+import { inviteMember, resendInvite, acceptInvite, memberLogin, updateMember, removeMember } from '../../schemas/members.js';
+
+const router = express.Router();
+
+// Rate limit and lockout key for a member login
+const memberAccount = (req) => req.body?.merchantId && req.body?.email &&
+  `MEMBER:${req.body.merchantId}:${req.body.email}`;
+
+// Format a team member for responses (never includes the password hash)
+const formatMember = (member) => ({
+  id: member.id,
+  email: member.email,
+  role: member.role,
+  status: member.acceptedAt ? 'ACTIVE' : 'INVITED',
+  acceptedAt: member.acceptedAt,
+  createdAt: member.createdAt,
+  updatedAt: member.updatedAt
+});
+
+// Email a fresh invitation link, replacing any earlier one
+async function sendInvite(member, merchant) {
+  await invalidateEmailTokens(member.id, 'MEMBER', 'MEMBER_INVITE');
+  const token = await createEmailToken(member.id, 'MEMBER', 'MEMBER_INVITE');
+  await sendMail(memberInviteEmail(member.email, merchant.businessName, member.role, token));
+}
+
+// List the merchant's team members
+router.get('/', authMiddleware, rejectApiKeys, requireRole(), async (req, res) => {
+  try {
+    const members = await prisma.merchantMember.findMany({
+      where: { merchantId: req.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).send({
+      success: true,
+      count: members.length,
+      members: members.map(formatMember)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error fetching team members",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Invite a new team member by email
+router.post('/invite', authMiddleware, validate(inviteMember), rejectApiKeys, requireRole(), requireFreshTotp, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    const merchant = await prisma.merchant.findUnique({
+      where: { id: req.id }
+    });
+
+    const existingMember = await prisma.merchantMember.findUnique({
+      where: { merchantId_email: { merchantId: req.id, email } }
+    });
+
+    if (existingMember) {
+      return res.status(409).send({
+        error: "Member already exists",
+        message: "This email has already been invited to the team"
+      });
+    }
+
+    const member = await prisma.merchantMember.create({
+      data: {
+        email,
+        role,
+        invitedBy: req.memberId,
+        merchantId: req.id
+      }
+    });
+
+    await sendInvite(member, merchant);
+
+    res.status(201).send({
+      success: true,
+      member: formatMember(member),
+      message: "Invitation sent"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error inviting team member",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Send the invitation email again
+router.post('/:id/resend-invite', authMiddleware, validate(resendInvite), rejectApiKeys, requireRole(), requireOwnerOf('member'), async (req, res) => {
+  try {
+    const member = req.resource;
+
+    if (member.acceptedAt) {
+      return res.status(409).send({
+        error: "Invitation already accepted",
+        message: "This team member has already joined"
+      });
+    }
+
+    const merchant = await prisma.merchant.findUnique({
+      where: { id: req.id }
+    });
+
+    await sendInvite(member, merchant);
+
+    res.status(200).send({
+      success: true,
+      message: "Invitation sent"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error resending invitation",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Accept an invitation with the emailed token and choose a password
+router.post('/accept', rateLimit('auth'), validate(acceptInvite), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const emailToken = await consumeEmailToken(token, 'MEMBER', 'MEMBER_INVITE');
+
+    if (!emailToken) {
+      return res.status(400).send({
+        error: "Invalid token",
+        message: "Invitation link is invalid or has expired"
+      });
+    }
+
+    const member = await prisma.merchantMember.update({
+      where: { id: emailToken.ownerId },
+      data: {
+        password: bcrypt.hashSync(password, 8),
+        acceptedAt: new Date()
+      }
+    });
+
+    const { accessToken, refreshToken } = await issueTokens(member.merchantId, 'MERCHANT', { member, req });
+
+    res.status(200).send({
+      accessToken,
+      refreshToken,
+      member: formatMember(member)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error accepting invitation",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Log in as a team member of a merchant
+router.post('/login', rateLimit('auth'), validate(memberLogin), rateLimit('login', memberAccount), loginLockout(memberAccount), async (req, res) => {
+  const { merchantId, email, password } = req.body;
+
+  try {
+    const member = await prisma.merchantMember.findUnique({
+      where: { merchantId_email: { merchantId, email } }
+    });
+
+    if (!member || !member.acceptedAt) {
+      await recordLoginFailure(req);
+      return res.status(404).send({ message: 'Team member not found' });
+    }
+
+    const passwordIsValid = bcrypt.compareSync(password, member.password);
+
+    if (!passwordIsValid) {
+      await recordLoginFailure(req);
+      return res.status(401).send({ accessToken: null, message: 'Invalid Password!' });
+    }
+
+    await clearLoginFailures(req);
+    const { accessToken, refreshToken } = await issueTokens(member.merchantId, 'MERCHANT', { member, req });
+
+    res.status(200).send({
+      accessToken,
+      refreshToken,
+      member: formatMember(member)
+    });
+  } catch (err) {
+    console.error('Team member login error:', err);
+    res.status(500).send({ message: 'Error logging in' });
+  }
+});
+
+// Change a team member's role
+router.patch('/:id', authMiddleware, validate(updateMember), rejectApiKeys, requireRole(), requireOwnerOf('member'), requireFreshTotp, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const member = await prisma.merchantMember.update({
+      where: { id },
+      data: { role }
+    });
+
+    // Access tokens carry the role, so the member is signed out and logs in again with the new one
+    if (req.resource.role !== role) {
+      await revokeMemberTokens(id);
+    }
+
+    res.status(200).send({
+      success: true,
+      member: formatMember(member)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error updating team member",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Remove a team member and sign them out
+router.delete('/:id', authMiddleware, validate(removeMember), rejectApiKeys, requireRole(), requireOwnerOf('member'), requireFreshTotp, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.memberId) {
+      return res.status(400).send({
+        error: "Invalid request",
+        message: "You can't remove yourself from the team"
+      });
+    }
+
+    await invalidateEmailTokens(id, 'MEMBER', 'MEMBER_INVITE');
+    await revokeMemberTokens(id);
+    await prisma.merchantMember.delete({
+      where: { id }
+    });
+
+    res.status(200).send({
+      success: true,
+      message: "Team member removed successfully"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error removing team member",
+      message: err.message || String(err)
+    });
+  }
+});
+
+export default router;
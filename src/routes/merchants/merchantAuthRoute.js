@@ -1,48 +1,73 @@
 import express from 'express'
 import bcrypt from 'bcryptjs'
-import jwt from 'jsonwebtoken'
 import prisma from '../../prismaClient.js';
 import  {sui, serverKeyPair } from '../../utils/suiClient.js';
-import { PackageId, ProductRegistry, WalletRegistry } from '../../utils/packageUtils.js';
+import { PackageId, WalletRegistry } from '../../utils/packageUtils.js';
 import { Transaction } from '@mysten/sui/transactions';
 import authMiddleware from '../../middleware/authMiddleware.js';
-import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
+import { rejectApiKeys, rejectMembers, requireMerchant, requireRole } from '../../middleware/authorize.js';
 import { queryEventsWithRetry } from '../../utils/suiUtils.js';
+import { issueTokens, revokeOwnerTokens, rotateRefreshToken, signMfaToken, verifyMfaToken } from '../../utils/tokenUtils.js';
+import { generateTotpSecret, generateRecoveryCodes, checkTotpCode, verifySecondFactor } from '../../utils/totp.js';
+import requireFreshTotp from '../../middleware/requireTotp.js';
+import encryptor from '../../utils/encryptor.js';
+import { createWalletChallenge, verifyWalletChallenge } from '../../utils/walletAuth.js';
+import { consumeEmailToken, invalidateEmailTokens } from '../../utils/emailTokens.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../../utils/accountEmails.js';
+import { rateLimit, loginLockout, recordLoginFailure, clearLoginFailures, byAccount, byBodyId } from '../../middleware/rateLimit.js';
+import validate from '../../middleware/validate.js';
+import uploadImage from '../../middleware/uploadImage.js';
+import { saveMerchantLogo, removeImage } from '../../utils/productImages.js';
+import { merchantSignUp, merchantLogin, walletChallenge, merchantWalletLogin, refresh, verifyEmail, forgotPassword, resetPassword, loginTotp, enableTotp } from '../../schemas/auth.js';
 
-async function buildTxData (){
-  const ed25519 = Ed25519Keypair.deriveKeypair(
-    "absent faint roof fog smile protect hybrid saddle admit volume rug grit",
-    "m/44'/784'/0'/0'/0'" 
-  );
-  
-  const tx = new Transaction();
-  tx.moveCall(
-  { target: `${PackageId}::product::createOneTimeProduct`,
-    arguments: [
-      tx.pure.string("Test"),
-      tx.pure.u64(20),
-      tx.object(`${ProductRegistry}`),
-    ],}
-  );
-  tx.setSender(
-    ed25519.getPublicKey().toSuiAddress()
-  );
+const router = express.Router()
 
-  const data = await tx.build(BuildT);
- const signedData = await ed25519.signTransaction(data);
+// Lockout key for the second login step, taken from the MFA token
+const mfaAccount = (req) => {
+  const merchantId = req.body?.mfaToken && verifyMfaToken(req.body.mfaToken);
+  return merchantId && `MERCHANT:${merchantId}`;
+};
 
- console.log("signedData", signedData);
+// Finish a password or wallet login. Merchants with TOTP enabled must also pass
+// a code, either inline as totpCode or in a second call to /login/totp.
+async function completeLogin(req, res, user, totpCode) {
+  if (user.totpEnabledAt) {
+    if (!totpCode) {
+      return res.status(200).send({
+        accessToken: null,
+        mfaRequired: true,
+        mfaToken: signMfaToken(user.id),
+        message: 'TOTP code required'
+      });
+    }
 
+    const result = await verifySecondFactor(user, totpCode);
 
- 
-};
+    if (!result.success) {
+      await recordLoginFailure(req);
+      return res.status(401).send({ accessToken: null, message: result.reason });
+    }
+  }
 
+  await clearLoginFailures(req);
+  const { accessToken, refreshToken } = await issueTokens(user.id, 'MERCHANT', { req });
 
-const router = express.Router()
+  res.status(200).send({
+    accessToken,
+    refreshToken,
+    user: {
+      id: user.id,
+      businessName: user.businessName,
+      email: user.email,
+      wallet: user.wallet
+    }
+  });
+}
 
-router.post('/signUp', async(req, res) => {
+router.post('/signUp', rateLimit('auth'), validate(merchantSignUp), async(req, res) => {
     const { id, email, password, businessName } = req.body;
-    const hashedPassword = bcrypt.hashSync(password, 8);
+    // Password is optional for accounts that will sign in with their wallet
+    const hashedPassword = password ? bcrypt.hashSync(password, 8) : null;
     
     try {
       const tx = new Transaction();
@@ -76,10 +101,15 @@ router.post('/signUp', async(req, res) => {
         }
       });
       
-      const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '24h' });
+      // Don't fail the sign up if the verification email can't be sent, it can be resent later
+      sendVerificationEmail(user, 'MERCHANT')
+        .catch(err => console.error(`Error sending verification email to merchant ${user.id}:`, err));
+      
+      const { accessToken, refreshToken } = await issueTokens(user.id, 'MERCHANT', { req });
  
       res.status(200).send({
-        accessToken: token,
+        accessToken,
+        refreshToken,
        user:{
         id: user.id,
         businessName: user.businessName,
@@ -108,7 +138,7 @@ router.post('/signUp', async(req, res) => {
   });
 
 
-  router.post('/login', async (req, res) => {
+  router.post('/login', rateLimit('auth'), validate(merchantLogin), rateLimit('login', byBodyId('MERCHANT')), loginLockout(byBodyId('MERCHANT')), async (req, res) => {
     const { id,password } = req.body;
 
     try {
@@ -117,34 +147,370 @@ router.post('/signUp', async(req, res) => {
       });
   
       if (!user) {
+        await recordLoginFailure(req);
         return res.status(404).send({ message: 'User not found' });
       }
   
-      const passwordIsValid = bcrypt.compareSync(password, user.password);
+      if (!user.password) {
+        return res.status(401).send({ accessToken: null, message: 'This account signs in with its wallet' });
+      }
+  
+      const passwordIsValid = bcrypt.compareSync(password || '', user.password);
   
       if (!passwordIsValid) {
+        await recordLoginFailure(req);
         return res.status(401).send({ accessToken: null, message: 'Invalid Password!' });
       }
   
-      const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '24h' });
-  
+      await completeLogin(req, res, user, req.body.totpCode);
+    } catch (err) {
+      res.status(500).send({ message: 'Error logging in' });
+    }
+  });
+
+
+  // Issue a nonce for the merchant to sign with their Sui wallet
+  router.post('/wallet-challenge', rateLimit('auth'), validate(walletChallenge), async (req, res) => {
+    const { id } = req.body;
+
+    try {
+      const user = await prisma.merchant.findUnique({
+        where: { id }
+      });
+
+      if (!user) {
+        return res.status(404).send({ message: 'User not found' });
+      }
+
+      const challenge = await createWalletChallenge(user.id, 'MERCHANT');
+
+      res.status(200).send(challenge);
+    } catch (err) {
+      console.error('Wallet challenge error:', err);
+      res.status(500).send({ message: 'Error creating wallet challenge' });
+    }
+  });
+
+  // Log in with a signPersonalMessage signature over a challenge
+  router.post('/wallet-login', rateLimit('auth'), validate(merchantWalletLogin), loginLockout(byBodyId('MERCHANT')), async (req, res) => {
+    const { id, nonce, signature } = req.body;
+
+    try {
+      const user = await prisma.merchant.findUnique({
+        where: { id }
+      });
+
+      if (!user) {
+        await recordLoginFailure(req);
+        return res.status(404).send({ message: 'User not found' });
+      }
+
+      const result = await verifyWalletChallenge(user.id, 'MERCHANT', nonce, signature);
+
+      if (!result.success) {
+        await recordLoginFailure(req);
+        return res.status(401).send({ accessToken: null, message: result.reason });
+      }
+
+      await completeLogin(req, res, user, req.body.totpCode);
+    } catch (err) {
+      console.error('Wallet login error:', err);
+      res.status(500).send({ message: 'Error logging in' });
+    }
+  });
+
+  // Exchange a refresh token for a new access/refresh token pair
+  router.post('/refresh', rateLimit('auth'), validate(refresh), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+      const result = await rotateRefreshToken(refreshToken, 'MERCHANT', req);
+
+      if (!result.success) {
+        return res.status(401).send({ accessToken: null, message: result.reason });
+      }
+
       res.status(200).send({
-        accessToken: token,
-       user:{
-        id: user.id,
-        businessName: user.businessName,
-        email: user.email,
-        wallet: user.wallet
-       
-       }
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken
+      });
+    } catch (err) {
+      console.error('Refresh error:', err);
+      res.status(500).send({ message: 'Error refreshing token' });
+    }
+  });
+
+
+  // Confirm an email address with the token from the verification email
+  router.post('/verify-email', rateLimit('auth'), validate(verifyEmail), async (req, res) => {
+    const { token } = req.body;
+
+    try {
+      const emailToken = await consumeEmailToken(token, 'MERCHANT', 'VERIFY_EMAIL');
+
+      if (!emailToken) {
+        return res.status(400).send({
+          error: "Invalid token",
+          message: "Verification link is invalid or has expired"
+        });
+      }
+
+      await prisma.merchant.update({
+        where: { id: emailToken.ownerId },
+        data: { emailVerifiedAt: new Date() }
       });
+
+      res.status(200).send({ success: true, message: 'Email verified successfully' });
     } catch (err) {
+      console.error('Email verification error:', err);
+      res.status(500).send({ message: 'Error verifying email' });
+    }
+  });
+
+  // Send a new verification email to the logged-in merchant
+  router.post('/resend-verification', authMiddleware, requireMerchant, rejectMembers, rateLimit('email', byAccount), async (req, res) => {
+    try {
+      const user = await prisma.merchant.findUnique({
+        where: { id: req.id }
+      });
+
+      if (!user) {
+        return res.status(404).send({ message: 'User not found' });
+      }
+
+      if (user.emailVerifiedAt) {
+        return res.status(409).send({ message: 'Email is already verified' });
+      }
+
+      await sendVerificationEmail(user, 'MERCHANT');
+
+      res.status(200).send({ success: true, message: 'Verification email sent' });
+    } catch (err) {
+      console.error('Resend verification error:', err);
+      res.status(500).send({ message: 'Error sending verification email' });
+    }
+  });
+
+  // Email a password reset link. Always answers the same way so account IDs can't be probed.
+  router.post('/forgot-password', rateLimit('auth'), validate(forgotPassword), rateLimit('email', byBodyId('MERCHANT')), async (req, res) => {
+    const { id } = req.body;
+
+    try {
+      const user = await prisma.merchant.findUnique({
+        where: { id }
+      });
+
+      if (user) {
+        await sendPasswordResetEmail(user, 'MERCHANT');
+      }
+
+      res.status(200).send({
+        success: true,
+        message: 'If the account exists, a password reset email has been sent'
+      });
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      res.status(500).send({ message: 'Error requesting password reset' });
+    }
+  });
+
+  // Set a new password with a reset token and sign out every existing session
+  router.post('/reset-password', rateLimit('auth'), validate(resetPassword), async (req, res) => {
+    const { token, password } = req.body;
+
+    try {
+      const emailToken = await consumeEmailToken(token, 'MERCHANT', 'RESET_PASSWORD');
+
+      if (!emailToken) {
+        return res.status(400).send({
+          error: "Invalid token",
+          message: "Reset link is invalid or has expired"
+        });
+      }
+
+      // Receiving the reset email also proves the address belongs to the merchant
+      await prisma.merchant.update({
+        where: { id: emailToken.ownerId },
+        data: {
+          password: bcrypt.hashSync(password, 8),
+          emailVerifiedAt: new Date()
+        }
+      });
+
+      await invalidateEmailTokens(emailToken.ownerId, 'MERCHANT', 'RESET_PASSWORD');
+      await revokeOwnerTokens(emailToken.ownerId, 'MERCHANT');
+
+      res.status(200).send({ success: true, message: 'Password reset successfully, please log in again' });
+    } catch (err) {
+      console.error('Reset password error:', err);
+      res.status(500).send({ message: 'Error resetting password' });
+    }
+  });
+
+  // Second login step for merchants with TOTP enabled. Failed codes count towards the
+  // same lockout as failed passwords.
+  router.post('/login/totp', rateLimit('auth'), validate(loginTotp), loginLockout(mfaAccount), async (req, res) => {
+    const { mfaToken, code } = req.body;
+
+    try {
+      const merchantId = verifyMfaToken(mfaToken);
+
+      if (!merchantId) {
+        return res.status(401).send({ accessToken: null, message: 'Login session expired, please log in again' });
+      }
+
+      const user = await prisma.merchant.findUnique({
+        where: { id: merchantId }
+      });
+
+      if (!user) {
+        return res.status(404).send({ message: 'User not found' });
+      }
+
+      await completeLogin(req, res, user, code);
+    } catch (err) {
+      console.error('TOTP login error:', err);
       res.status(500).send({ message: 'Error logging in' });
     }
   });
 
+  // Start TOTP enrollment: returns the secret and an otpauth:// URI for QR provisioning
+  router.post('/totp/setup', authMiddleware, rejectApiKeys, requireMerchant, rejectMembers, async (req, res) => {
+    try {
+      const user = await prisma.merchant.findUnique({
+        where: { id: req.id }
+      });
+
+      if (!user) {
+        return res.status(404).send({ message: 'User not found' });
+      }
+
+      if (user.totpEnabledAt) {
+        return res.status(409).send({
+          error: "TOTP already enabled",
+          message: "Disable two-factor authentication before enrolling again"
+        });
+      }
+
+      const { secret, otpauthUrl } = generateTotpSecret(user);
+
+      // Stored but not enforced until /totp/enable confirms a code
+      await prisma.merchant.update({
+        where: { id: user.id },
+        data: { totpSecret: encryptor.encrypt(secret) }
+      });
+
+      res.status(200).send({
+        success: true,
+        secret,
+        otpauthUrl,
+        message: "Scan the QR code with your authenticator app, then confirm a code to enable TOTP"
+      });
+    } catch (err) {
+      console.error('TOTP setup error:', err);
+      res.status(500).send({ message: 'Error setting up TOTP' });
+    }
+  });
+
+  // Confirm enrollment with a first code and receive recovery codes
+  router.post('/totp/enable', authMiddleware, validate(enableTotp), rejectApiKeys, requireMerchant, rejectMembers, async (req, res) => {
+    const { code } = req.body;
+
+    try {
+      const user = await prisma.merchant.findUnique({
+        where: { id: req.id }
+      });
+
+      if (!user) {
+        return res.status(404).send({ message: 'User not found' });
+      }
+
+      if (user.totpEnabledAt) {
+        return res.status(409).send({ message: 'TOTP is already enabled' });
+      }
+
+      if (!user.totpSecret) {
+        return res.status(400).send({ message: 'Call /totp/setup before enabling TOTP' });
+      }
+
+      const step = checkTotpCode(user.totpSecret, code);
+
+      if (step === null) {
+        return res.status(401).send({ message: 'Invalid TOTP code' });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+
+      await prisma.merchant.update({
+        where: { id: user.id },
+        data: {
+          totpEnabledAt: new Date(),
+          totpLastUsedStep: step,
+          totpRecoveryCodes: hashes
+        }
+      });
+
+      res.status(200).send({
+        success: true,
+        recoveryCodes: codes,
+        message: "TOTP enabled. Please save these recovery codes as they will only be shown once"
+      });
+    } catch (err) {
+      console.error('TOTP enable error:', err);
+      res.status(500).send({ message: 'Error enabling TOTP' });
+    }
+  });
+
+  // Turn TOTP off (requires a fresh code)
+  router.post('/totp/disable', authMiddleware, rejectApiKeys, requireMerchant, rejectMembers, requireFreshTotp, async (req, res) => {
+    try {
+      await prisma.merchant.update({
+        where: { id: req.id },
+        data: {
+          totpSecret: null,
+          totpEnabledAt: null,
+          totpLastUsedStep: null,
+          totpRecoveryCodes: []
+        }
+      });
+
+      res.status(200).send({ success: true, message: 'TOTP disabled' });
+    } catch (err) {
+      console.error('TOTP disable error:', err);
+      res.status(500).send({ message: 'Error disabling TOTP' });
+    }
+  });
 
-  router.get('/me', authMiddleware, async (req, res) => {
+  // Replace all recovery codes (requires a fresh code)
+  router.post('/totp/recovery-codes', authMiddleware, rejectApiKeys, requireMerchant, rejectMembers, requireFreshTotp, async (req, res) => {
+    try {
+      const user = await prisma.merchant.findUnique({
+        where: { id: req.id }
+      });
+
+      if (!user || !user.totpEnabledAt) {
+        return res.status(400).send({ message: 'TOTP is not enabled' });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+
+      await prisma.merchant.update({
+        where: { id: user.id },
+        data: { totpRecoveryCodes: hashes }
+      });
+
+      res.status(200).send({
+        success: true,
+        recoveryCodes: codes,
+        message: "Recovery codes regenerated. Please save them as they will only be shown once"
+      });
+    } catch (err) {
+      console.error('Recovery code error:', err);
+      res.status(500).send({ message: 'Error regenerating recovery codes' });
+    }
+  });
+
+  router.get('/me', authMiddleware, requireMerchant, async (req, res) => {
     try {
       const user = await prisma.merchant.findUnique({
         where: { id:req.id }
@@ -154,11 +520,24 @@ router.post('/signUp', async(req, res) => {
         return res.status(404).send({ message: 'User not found' });
       }
   
+      // Team members also get their own identity and role
+      const member = req.memberId ? await prisma.merchantMember.findUnique({
+        where: { id: req.memberId }
+      }) : null;
+  
       res.status(200).send({
         id: user.id,
         businessName: user.businessName,
         email: user.email,
-        wallet: user.wallet
+        emailVerified: Boolean(user.emailVerifiedAt),
+        totpEnabled: Boolean(user.totpEnabledAt),
+        wallet: user.wallet,
+        logoUrl: user.logoUrl,
+        member: member ? {
+          id: member.id,
+          email: member.email,
+          role: member.role
+        } : null
       });
     } catch (err) {
       res.status(500).send({ message: 'Error fetching user' });
@@ -166,5 +545,69 @@ router.post('/signUp', async(req, res) => {
   }
   );
 
+  // Upload the merchant logo (multipart field "image"), replacing the previous one
+  router.put('/logo', authMiddleware, rejectApiKeys, requireRole('DEVELOPER'), uploadImage, async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'image: An image file is required',
+          errors: [{ location: 'body', field: 'image', message: 'An image file is required' }]
+        });
+      }
+
+      const result = await saveMerchantLogo(req.id, req.file.buffer);
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `image: ${result.reason}`,
+          errors: [{ location: 'body', field: 'image', message: result.reason }]
+        });
+      }
+
+      const previous = await prisma.merchant.findUnique({
+        where: { id: req.id },
+        select: { logoUrl: true }
+      });
+
+      await prisma.merchant.update({
+        where: { id: req.id },
+        data: { logoUrl: result.url }
+      });
+
+      if (previous?.logoUrl) {
+        await removeImage(previous.logoUrl, `merchants/${req.id}`);
+      }
+
+      res.status(200).send({ success: true, logoUrl: result.url });
+    } catch (err) {
+      console.error(err);
+      res.status(400).send({ message: 'Error uploading logo' });
+    }
+  });
+
+  router.delete('/logo', authMiddleware, rejectApiKeys, requireRole('DEVELOPER'), async (req, res) => {
+    try {
+      const merchant = await prisma.merchant.findUnique({
+        where: { id: req.id },
+        select: { logoUrl: true }
+      });
+
+      if (merchant?.logoUrl) {
+        await prisma.merchant.update({
+          where: { id: req.id },
+          data: { logoUrl: null }
+        });
+        await removeImage(merchant.logoUrl, `merchants/${req.id}`);
+      }
+
+      res.status(200).send({ success: true, logoUrl: null });
+    } catch (err) {
+      console.error(err);
+      res.status(400).send({ message: 'Error removing logo' });
+    }
+  });
+
   
 export default router;
\ No newline at end of file
@@ -1,11 +1,16 @@
 import express from 'express';
 import prisma from '../../prismaClient.js';
-import { sui } from '../../utils/suiClient.js';
+import { sui, serverKeyPair } from '../../utils/suiClient.js';
 import { PackageId } from '../../utils/packageUtils.js';
 import { Transaction } from '@mysten/sui/transactions';
 import authMiddleware from '../../middleware/authMiddleware.js';
+import { requireMerchant, requireOwnerOf, requireRole, requireScope } from '../../middleware/authorize.js';
+import validate from '../../middleware/validate.js';
+import { depositStatus, transactions } from '../../schemas/wallet.js';
 import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
 import expressWs from 'express-ws';
+import { SUI_COIN_TYPE, getCoin, listCoins, formatCoinAmount } from '../../utils/coinRegistry.js';
+import { getMoveFunction } from '../../utils/suiUtils.js';
 
 const router = express.Router();
 expressWs(router);
@@ -18,6 +23,23 @@ const POLL_INTERVAL = 5 * 1000; // 5 seconds
 const BUFFER_TIME = 1 * 60 * 1000; // 1 minute buffer
 const MIST_TO_SUI = 1000000000; // 1 Billion MIST = 1 SUI
 
+// Amount fields of deposit WebSocket messages. suiAmount is kept for SUI deposits.
+const depositAmountFields = (amount, coin) => ({
+  amount: amount.toString(),
+  coinType: coin.coinType,
+  symbol: coin.symbol,
+  displayAmount: formatCoinAmount(amount, coin),
+  ...(coin.coinType === SUI_COIN_TYPE && { suiAmount: (parseInt(amount) / MIST_TO_SUI).toFixed(9) })
+});
+
+// Users always see their own funds, merchant team members need a finance or read-only role
+const canViewFunds = (req, res, next) => {
+  if (req.ownerType === 'USER') {
+    return next();
+  }
+  requireRole('FINANCE', 'READ_ONLY')(req, res, next);
+};
+
 // Merchant deposit WebSocket endpoint
 router.ws('/merchantDepositAddress', (ws, req, next) => {
   // Apply merchant auth middleware for WebSocket
@@ -35,6 +57,12 @@ router.ws('/merchantDepositAddress', (ws, req, next) => {
       }
     })
   }, () => {
+    if (req.ownerType !== 'MERCHANT') {
+      return ws.close(1008, 'Forbidden: This endpoint is only available to merchant accounts');
+    }
+    if (req.role && !['OWNER', 'FINANCE'].includes(req.role)) {
+      return ws.close(1008, `Forbidden: Your role (${req.role}) does not allow deposits`);
+    }
     // Auth successful, handle the WebSocket connection with merchant type
     handleDepositWebSocket(ws, req, 'MERCHANT');
   });
@@ -54,7 +82,9 @@ router.ws('/userDepositAddress', (ws, req, next) => {
       }
     })
   }, () => {
-    
+    if (req.ownerType !== 'USER') {
+      return ws.close(1008, 'Forbidden: This endpoint is only available to user accounts');
+    }
     handleDepositWebSocket(ws, req, 'USER');
   });
 });
@@ -183,12 +213,11 @@ async function handleDepositWebSocket(ws, req, ownerType) {
           if (connection && connection.readyState === 1) {
             // Send final status message if not already sent
             if (currentDeposit.status === 'COMPLETED' && currentDeposit.amount) {
-              const suiAmount = parseInt(currentDeposit.amount) / MIST_TO_SUI;
+              const coin = getCoin(currentDeposit.coinType || SUI_COIN_TYPE);
               connection.send(JSON.stringify({
                 status: 'Successful',
-                message: `Deposit of ${suiAmount.toFixed(9)} SUI has been successful`,
-                amount: currentDeposit.amount,
-                suiAmount: suiAmount.toFixed(9)
+                message: `Deposit of ${formatCoinAmount(currentDeposit.amount, coin)} ${coin.symbol} has been successful`,
+                ...depositAmountFields(currentDeposit.amount, coin)
               }));
             } else if (currentDeposit.status === 'ERROR') {
               connection.send(JSON.stringify({
@@ -290,23 +319,28 @@ async function checkDeposit(address, ephKeypair, ownerId, ownerType) {
   console.log(`Checking deposit for address ${address}`);
   
   try {
-    const balance = await sui.getBalance({
-      owner: address,
-      coinType: '0x2::sui::SUI'
-    });
-
-    if (parseInt(balance.totalBalance) > 0) {
-      console.log(`Deposit detected: ${balance.totalBalance} MIST`);
-      
-      // Calculate SUI amount (1 Billion MIST = 1 SUI)
-      const suiAmount = parseInt(balance.totalBalance) / MIST_TO_SUI;
+    const balances = await sui.getAllBalances({ owner: address });
+
+    // One coin per deposit address. Other coins are checked before SUI, since
+    // SUI sent along with them may only be meant to pay for gas.
+    const balance = balances
+      .filter(entry => {
+        const coin = getCoin(entry.coinType);
+        return coin && BigInt(entry.totalBalance) > 0n && BigInt(entry.totalBalance) >= BigInt(coin.minDeposit);
+      })
+      .sort((a, b) => (getCoin(a.coinType).coinType === SUI_COIN_TYPE) - (getCoin(b.coinType).coinType === SUI_COIN_TYPE))[0];
+
+    if (balance) {
+      const coin = getCoin(balance.coinType);
+      console.log(`Deposit detected: ${balance.totalBalance} ${coin.unit}`);
       
       // Update database to prevent concurrent processing
       await prisma.ephemeralDeposit.update({
         where: { address },
         data: { 
           status: 'PROCESSING',
-          amount: balance.totalBalance
+          amount: balance.totalBalance,
+          coinType: coin.coinType
         }
       });
       
@@ -315,14 +349,13 @@ async function checkDeposit(address, ephKeypair, ownerId, ownerType) {
       if (connection && connection.readyState === 1) {
         connection.send(JSON.stringify({
           status: 'Processing',
-          message: `Processing Deposit of ${suiAmount.toFixed(9)} SUI`,
-          amount: balance.totalBalance,
-          suiAmount: suiAmount.toFixed(9)
+          message: `Processing Deposit of ${formatCoinAmount(balance.totalBalance, coin)} ${coin.symbol}`,
+          ...depositAmountFields(balance.totalBalance, coin)
         }));
       }
 
       // Perform your action here when deposit is detected
-      const success = await handleDeposit(address, balance.totalBalance, ownerId, ownerType, ephKeypair);
+      const success = await handleDeposit(address, balance.totalBalance, coin, ownerId, ownerType, ephKeypair);
       
       if (!success) {
         // Reset status to allow retry if handleDeposit failed
@@ -336,8 +369,7 @@ async function checkDeposit(address, ephKeypair, ownerId, ownerType) {
           connection.send(JSON.stringify({
             status: 'Failed',
             message: 'We encountered an issue while processing deposit. It will be refunded in 24 hours in sender\'s account',
-            amount: balance.totalBalance,
-            suiAmount: suiAmount.toFixed(9)
+            ...depositAmountFields(balance.totalBalance, coin)
           }));
           // Close the WebSocket connection after failure
           connection.close(1000, 'Deposit failed');
@@ -366,8 +398,102 @@ async function checkDeposit(address, ephKeypair, ownerId, ownerType) {
   }
 }
 
-async function handleDeposit(address, amount, ownerId, ownerType, ephKeypair) {
-  console.log(`Processing deposit of ${amount} MIST for ${ownerType.toLowerCase()} ${ownerId}`);
+/**
+ * Deposit a coin other than SUI. The ephemeral address holds no SUI for gas, so the
+ * server sponsors the transaction and the full balance goes to the SuiPay wallet.
+ * @param {string} address - Ephemeral deposit address
+ * @param {Object} coin - Coin from the registry
+ * @param {Object} owner - Merchant or user record
+ * @param {Ed25519Keypair} ephKeypair - Keypair of the deposit address
+ * @returns {Promise<string>} - Transaction digest
+ */
+async function depositSponsoredCoin(address, coin, owner, ephKeypair) {
+  // Only deployed contracts with the generic deposit function can take other coins
+  const moveFunction = await getMoveFunction('suipay', 'depositCoinToSuiPayWallet');
+  if (!moveFunction || moveFunction.typeParameters.length !== 1) {
+    throw new Error('The deployed contract has no suipay::depositCoinToSuiPayWallet taking a coin type');
+  }
+
+  const coins = await sui.getCoins({
+    owner: address,
+    coinType: coin.coinType
+  });
+
+  if (coins.data.length === 0) {
+    throw new Error('No coins found in address');
+  }
+
+  const tx = new Transaction();
+  tx.setSender(address);
+  tx.setGasOwner(serverKeyPair.toSuiAddress());
+
+  const [primaryCoin, ...otherCoins] = coins.data;
+  const depositCoin = tx.object(primaryCoin.coinObjectId);
+  if (otherCoins.length > 0) {
+    tx.mergeCoins(depositCoin, otherCoins.map(c => tx.object(c.coinObjectId)));
+  }
+
+  tx.moveCall({
+    target: `${PackageId}::suipay::depositCoinToSuiPayWallet`,
+    typeArguments: [coin.coinType],
+    arguments: [
+      depositCoin,
+      tx.object(owner.wallet),
+      tx.object("0x6"),
+    ],
+  });
+
+  // Both the coin owner and the gas sponsor sign the same bytes
+  const bytes = await tx.build({ client: sui });
+  const [senderSignature, sponsorSignature] = await Promise.all([
+    ephKeypair.signTransaction(bytes),
+    serverKeyPair.signTransaction(bytes)
+  ]);
+
+  const result = await sui.executeTransactionBlock({
+    transactionBlock: bytes,
+    signature: [senderSignature.signature, sponsorSignature.signature],
+    requestType: 'WaitForLocalExecution',
+    options: {
+      showEffects: true,
+    },
+  });
+
+  if (result.effects?.status?.status !== 'success') {
+    throw new Error(`Deposit transaction failed: ${result.effects?.status?.error || 'unknown error'}`);
+  }
+
+  return result.digest;
+}
+
+/**
+ * Mark a deposit completed and tell the client
+ * @param {string} address - Ephemeral deposit address
+ * @param {bigint|string|number} depositAmount - Amount deposited, in the coin's smallest unit
+ * @param {Object} coin - Coin from the registry
+ * @param {string} txDigest - Deposit transaction digest
+ */
+async function completeDeposit(address, depositAmount, coin, txDigest) {
+  await prisma.ephemeralDeposit.update({
+    where: { address },
+    data: { status: 'COMPLETED' }
+  });
+
+  const connection = activeConnections.get(address);
+  if (connection && connection.readyState === 1) {
+    connection.send(JSON.stringify({
+      status: 'Successful',
+      message: `Deposit of ${formatCoinAmount(depositAmount, coin)} ${coin.symbol} has been successful`,
+      ...depositAmountFields(depositAmount, coin),
+      txDigest
+    }));
+    // Close the WebSocket connection after successful deposit
+    connection.close(1000, 'Deposit successful');
+  }
+}
+
+async function handleDeposit(address, amount, coin, ownerId, ownerType, ephKeypair) {
+  console.log(`Processing deposit of ${amount} ${coin.unit} for ${ownerType.toLowerCase()} ${ownerId}`);
   
   try {
     // Get the owner based on type
@@ -386,10 +512,18 @@ async function handleDeposit(address, amount, ownerId, ownerType, ephKeypair) {
       throw new Error(`${ownerType} not found`);
     }
 
+    if (coin.coinType !== SUI_COIN_TYPE) {
+      const digest = await depositSponsoredCoin(address, coin, owner, ephKeypair);
+      console.log(`Successfully processed deposit for ${amount} ${coin.unit}, transaction digest: ${digest}`);
+
+      await completeDeposit(address, amount, coin, digest);
+      return true;
+    }
+
     // Check owner's current balance
     const ownerBalance = await sui.getBalance({
       owner: owner.id,
-      coinType: '0x2::sui::SUI'
+      coinType: SUI_COIN_TYPE
     });
     
     const ownerBalanceSUI = parseInt(ownerBalance.totalBalance) / MIST_TO_SUI;
@@ -401,7 +535,7 @@ async function handleDeposit(address, amount, ownerId, ownerType, ephKeypair) {
     // Get all coins from ephemeral address
     const coins = await sui.getCoins({
       owner: address,
-      coinType: '0x2::sui::SUI'
+      coinType: SUI_COIN_TYPE
     });
 
     if (coins.data.length === 0) {
@@ -551,32 +685,12 @@ async function handleDeposit(address, amount, ownerId, ownerType, ephKeypair) {
     // Check remaining balance
     const finalBalance = await sui.getBalance({
       owner: address,
-      coinType: '0x2::sui::SUI'
+      coinType: SUI_COIN_TYPE
     });
     console.log(`Remaining balance: ${finalBalance.totalBalance} MIST`);
     
-    // Calculate SUI amount for user message
-    const suiAmount = depositAmount / MIST_TO_SUI;
-    
-    // Update deposit status to COMPLETED
-    await prisma.ephemeralDeposit.update({
-      where: { address },
-      data: { status: 'COMPLETED' }
-    });
-    
-    // Notify client of success
-    const connection = activeConnections.get(address);
-    if (connection && connection.readyState === 1) {
-      connection.send(JSON.stringify({
-        status: 'Successful',
-        message: `Deposit of ${suiAmount.toFixed(9)} SUI has been successful`,
-        amount: depositAmount,
-        suiAmount: suiAmount.toFixed(9),
-        txDigest: result.digest
-      }));
-      // Close the WebSocket connection after successful deposit
-      connection.close(1000, 'Deposit successful');
-    }
+    // Update deposit status to COMPLETED and notify client of success
+    await completeDeposit(address, depositAmount, coin, result.digest);
     
     // Return true to indicate success and exit polling
     return true;
@@ -609,7 +723,7 @@ async function handleDeposit(address, amount, ownerId, ownerType, ephKeypair) {
 }
 
 // Cleanup endpoint for when server restarts
-router.get('/cleanup-expired', authMiddleware, async(req, res) => {
+router.get('/cleanup-expired', authMiddleware, requireMerchant, async(req, res) => {
   try {
     // Clear all expired deposits
     const result = await prisma.ephemeralDeposit.updateMany({
@@ -631,25 +745,14 @@ router.get('/cleanup-expired', authMiddleware, async(req, res) => {
 });
 
 // Get deposit status (works for both users and merchants)
-router.get('/deposit-status/:address', authMiddleware, async(req, res) => {
+router.get('/deposit-status/:address', authMiddleware, validate(depositStatus), canViewFunds, requireScope('wallet:read'), requireOwnerOf('deposit'), async(req, res) => {
   try {
-    const deposit = await prisma.ephemeralDeposit.findUnique({
-      where: { address: req.params.address }
-    });
-
-    if (!deposit) {
-      return res.status(404).json({ error: 'Deposit not found' });
-    }
-
-    // Check if the deposit belongs to the authenticated entity
-    if ((deposit.ownerType === 'MERCHANT' && deposit.merchantId !== req.id) || 
-        (deposit.ownerType === 'USER' && deposit.userId !== req.id)) {
-      return res.status(403).json({ error: 'Unauthorized access to deposit information' });
-    }
+    const deposit = req.resource;
 
     res.json({
       status: deposit.status,
       amount: deposit.amount,
+      coinType: deposit.coinType,
       createdAt: deposit.createdAt,
       expiresAt: deposit.expiresAt
     });
@@ -659,18 +762,14 @@ router.get('/deposit-status/:address', authMiddleware, async(req, res) => {
 });
 
 // Balance endpoint with support for both merchant and user
-router.get('/balance', async (req, res) => {
+router.get('/balance', authMiddleware, canViewFunds, requireScope('wallet:read'), async (req, res) => {
   try {
-    // Determine if this is a merchant or user request based on the request's auth context
-    const ownerType = req.query.userType || 'MERCHANT'; 
-    const ownerId = req.query.id;
+    // The balance always belongs to the authenticated merchant or user
+    const ownerType = req.ownerType;
+    const ownerId = req.id;
     
     console.log(`Fetching balance for ${ownerType} with ID: ${ownerId}`);
     
-    if (!ownerId) {
-      return res.status(400).json({ error: 'Missing ID parameter' });
-    }
-    
     let owner;
     if (ownerType === 'MERCHANT') {
       owner = await prisma.merchant.findUnique({
@@ -686,10 +785,7 @@ router.get('/balance', async (req, res) => {
       return res.status(404).json({ error: `${ownerType} not found` });
     }
     
-    const ownerBalance = await sui.getBalance({
-      owner: ownerId,
-      coinType: '0x2::sui::SUI'
-    });
+    const accountBalances = await sui.getAllBalances({ owner: ownerId });
     
     const txn = await sui.getObject({
       id: owner.wallet,
@@ -701,30 +797,48 @@ router.get('/balance', async (req, res) => {
       parentId: txn.data.content.fields.wallet.fields.id.id,
     });
     
-    // Process all dynamic fields and wait for all promises to complete
-    let walletBalance = 0;
-    const balancePromises = balance.data.map(async (coin) => {
+    // Process all dynamic fields and wait for all promises to complete.
+    // Each field is named after the type of the coin it holds.
+    const balancePromises = balance.data.map(async (field) => {
       const finalBalance = await sui.getObject({
-        id: coin.objectId,
+        id: field.objectId,
         options: { showContent: true },
       });
       
-      if (finalBalance.data.content.fields.name === "0000000000000000000000000000000000000000000000000000000000000002::sui::SUI") {
-        return parseInt(finalBalance.data.content.fields.value);
-      }
-      return 0;
+      return {
+        coin: getCoin(finalBalance.data.content.fields.name),
+        value: BigInt(finalBalance.data.content.fields.value)
+      };
     });
     
     // Wait for all promises to resolve
     const balanceResults = await Promise.all(balancePromises);
     
-    // Sum up the results
-    walletBalance = balanceResults.reduce((sum, value) => sum + value, 0);
+    // Sum up the results per accepted coin, in the smallest unit
+    const coins = listCoins().map(coin => {
+      const walletBalance = balanceResults
+        .filter(result => result.coin?.coinType === coin.coinType)
+        .reduce((sum, result) => sum + result.value, 0n);
+      const accountBalance = BigInt(accountBalances.find(entry => getCoin(entry.coinType)?.coinType === coin.coinType)?.totalBalance || '0');
+
+      return {
+        coinType: coin.coinType,
+        symbol: coin.symbol,
+        decimals: coin.decimals,
+        balance: (walletBalance + accountBalance).toString(),
+        walletBalance: walletBalance.toString(),
+        accountBalance: accountBalance.toString()
+      };
+    });
+    
+    // The top level figures stay in SUI for existing clients
+    const suiBalance = coins.find(coin => coin.coinType === SUI_COIN_TYPE);
     
     res.json({
-      balance: (parseInt(ownerBalance.totalBalance) + walletBalance) / MIST_TO_SUI,
-      walletBalance: walletBalance / MIST_TO_SUI,
-      accountBalance: parseInt(ownerBalance.totalBalance) / MIST_TO_SUI,
+      balance: parseInt(suiBalance.balance) / MIST_TO_SUI,
+      walletBalance: parseInt(suiBalance.walletBalance) / MIST_TO_SUI,
+      accountBalance: parseInt(suiBalance.accountBalance) / MIST_TO_SUI,
+      coins
     });
   } catch (error) {
     console.error('Error fetching balance:', error);
@@ -733,24 +847,18 @@ router.get('/balance', async (req, res) => {
 });
 
 
-router.get('/transactions', authMiddleware, async (req, res) => {
+router.get('/transactions', authMiddleware, validate(transactions), canViewFunds, requireScope('wallet:read'), async (req, res) => {
   try {
     console.log('Fetching transactions...');
-    // Determine if this is a merchant or user request based on the request's auth context
-    const ownerType = req.query.userType || 'MERCHANT'; 
-    const ownerId = req.query.id;
-    console.log(`Fetching transactions for ${ownerType} with ID: ${ownerId}`);
+    // Transactions always belong to the authenticated merchant or user
+    const ownerType = req.ownerType;
+    const ownerId = req.id;
     // Get pagination parameters if provided
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const { page, limit } = req.query;
     const skip = (page - 1) * limit;
     
     console.log(`Fetching transactions for ${ownerType} with ID: ${ownerId}`);
     
-    if (!ownerId) {
-      return res.status(400).json({ error: 'Missing ID parameter' });
-    }
-    
     let owner;
     if (ownerType === 'MERCHANT') {
       owner = await prisma.merchant.findUnique({
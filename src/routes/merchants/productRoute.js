@@ -1,13 +1,77 @@
 import express from 'express'
 import prisma from '../../prismaClient.js';
+import { Prisma } from '@prisma/client';
 import  {sui} from '../../utils/suiClient.js';
 import authMiddleware from '../../middleware/authMiddleware.js';
+import { requireMerchant, requireOwnerOf, requireRole, requireScope } from '../../middleware/authorize.js';
 import { queryEventsWithRetry } from '../../utils/suiUtils.js';
+import validate from '../../middleware/validate.js';
+import uploadImage from '../../middleware/uploadImage.js';
+import { buildCreateProduct, createProduct, getProduct, listProducts, updateProduct, archiveProduct, syncProduct, updateCatalog, productImage, removeProductImage as removeProductImageSchema, listPlans, createPlan, archivePlan, updateTrial, updateFiatPrice, updateCoin } from '../../schemas/products.js';
+import { PRODUCT_CREATION_EVENT, PRODUCT_UPDATE_EVENT, buildProductArchiveTx, buildProductCreateTx, buildProductUpdateTx, missingProductFunction, productFromCreationEvent } from '../../utils/productTransactions.js';
+import { claimIssuedTransaction, recordIssuedTransaction } from '../../utils/issuedTransactions.js';
+import { MAX_PRODUCT_IMAGES, saveProductImage, removeImage } from '../../utils/productImages.js';
+import { formatPlan } from '../../utils/productPlans.js';
+import { formatProduct } from '../../utils/products.js';
+import { SUI_COIN_TYPE } from '../../utils/coinRegistry.js';
+import { unexpiredLinks } from '../../utils/paymentLinks.js';
 
 
 const router = express.Router()
 
-router.post('/createProduct', authMiddleware, async(req, res) => {
+// Active subscribers and lifetime revenue for a page of products, in two grouped queries
+async function getProductStats(productIds) {
+  const [subscribers, revenue] = await Promise.all([
+    prisma.paymentIntent.groupBy({
+      by: ['productId'],
+      where: { productId: { in: productIds }, status: 'ACTIVE' },
+      _count: { _all: true }
+    }),
+    // Mismatched payments are settled by the merchant and not counted
+    prisma.receipt.groupBy({
+      by: ['productId'],
+      where: { productId: { in: productIds }, mismatch: false },
+      _count: { _all: true },
+      _sum: { amount: true }
+    })
+  ]);
+
+  const stats = new Map(productIds.map(id => [id, { activeSubscribers: 0, payments: 0, revenue: '0' }]));
+  for (const row of subscribers) {
+    stats.get(row.productId).activeSubscribers = row._count._all;
+  }
+  for (const row of revenue) {
+    stats.get(row.productId).payments = row._count._all;
+    stats.get(row.productId).revenue = (row._sum.amount || 0n).toString();
+  }
+
+  return stats;
+}
+
+// Build the product creation transaction for the merchant wallet to sign. /createProduct
+// only accepts signatures over bytes issued here.
+router.post('/build-create', authMiddleware, validate(buildCreateProduct), requireRole('DEVELOPER'), requireScope('products:write'), async (req, res) => {
+  try {
+    const { bytes, digest, gas } = await buildProductCreateTx(req.id, req.body);
+    const expiresAt = await recordIssuedTransaction(digest, req.id, 'PRODUCT_CREATE');
+
+    res.status(200).send({
+      success: true,
+      bytes,
+      gas,
+      expiresAt,
+      message: "Sign this transaction with the merchant wallet and submit it to /api/product/createProduct"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error building product",
+      message: err.message || String(err)
+    });
+  }
+});
+
+router.post('/createProduct', authMiddleware, validate(createProduct), requireRole('DEVELOPER'), requireScope('products:write'), async(req, res) => {
     try {
       const user = await prisma.merchant.findUnique({
         where: { id: req.id }
@@ -16,13 +80,13 @@ router.post('/createProduct', authMiddleware, async(req, res) => {
         return res.status(404).send({ message: 'User not found' });
       }
       const { signature,bytes } = req.body;
-      if (!signature || !bytes) {
+      const issued = await claimIssuedTransaction(bytes, req.id, 'PRODUCT_CREATE');
+      if (!issued.success) {
         return res.status(400).send({
-          error: "Missing required field",
-          message: "Transaction digest is required"
+          error: "Invalid transaction",
+          message: issued.reason
         });
       }
-      console.log("bytes", bytes);
       const transResult = await sui.executeTransactionBlock({
         transactionBlock:bytes,
         signature: signature,
@@ -36,7 +100,7 @@ router.post('/createProduct', authMiddleware, async(req, res) => {
       const eventsResult = await queryEventsWithRetry(digest);
       // Find the product creation event
       const walletEvent = eventsResult.data.find(event => 
-        event.type.includes('::product::ProductCreationEvent')
+        event.type.includes(PRODUCT_CREATION_EVENT)
       );
       if (!walletEvent || !walletEvent.parsedJson) {
         return res.status(400).send({
@@ -65,32 +129,14 @@ router.post('/createProduct', authMiddleware, async(req, res) => {
           message: "A product with this ID already exists in the database"
         });
       }
-      // Determine product type based on the event data
-      const productType = prod.productType === 'OneTime' ? 'ONETIME' : 'SUBSCRIPTION';
       // Create the product in the database
       const product = await prisma.product.create({
-        data: {
-          id: prod.productId,
-          name: prod.name,
-          price: BigInt(prod.price),
-          productType: productType,
-          recurringPeriod: parseInt(prod.recurringPeriod || '0'),
-          subscribersRegistry: prod.subscribersRegistry,
-          merchantId: req.id
-        }
+        data: productFromCreationEvent(prod)
       });
       // Return the created product
       res.status(201).send({
         success: true,
-        product: {
-          id: product.id,
-          name: product.name,
-          price: product.price.toString(), // Convert BigInt to string for JSON
-          productType: product.productType,
-          recurringPeriod: product.recurringPeriod,
-          subscribersRegistry: product.subscribersRegistry,
-          merchantId: product.merchantId
-        }
+        product: formatProduct(product)
       });
     } catch (err) {
       console.log(err);
@@ -102,7 +148,9 @@ router.post('/createProduct', authMiddleware, async(req, res) => {
   });
 
 // GET all products for a merchant
-router.get('/products', authMiddleware, async(req, res) => {
+// Paginated with ?cursor=<nextCursor>, filtered by ?search, ?productType and ?archived,
+// sorted with ?sortBy=createdAt|price and ?order=asc|desc
+router.get('/products', authMiddleware, validate(listProducts), requireMerchant, requireScope('products:read'), async(req, res) => {
     try {
       // Find the authenticated merchant
       const user = await prisma.merchant.findUnique({
@@ -112,27 +160,41 @@ router.get('/products', authMiddleware, async(req, res) => {
       if (!user) {
         return res.status(404).send({ message: 'User not found' });
       }
-      // Fetch all products for this merchant
-      const products = await prisma.product.findMany({
-        where: { merchantId: req.id }
+      const { limit, cursor, search, productType, archived, sortBy, order } = req.query;
+      
+      const where = {
+        merchantId: req.id,
+        ...(search && { name: { contains: search, mode: 'insensitive' } }),
+        ...(productType && { productType }),
+        ...(archived !== undefined && { archivedAt: archived ? { not: null } : null })
+      };
+      
+      // Fetch one extra row to know whether there is another page. The ID breaks ties so
+      // products with the same price or timestamp are never skipped or repeated.
+      const rows = await prisma.product.findMany({
+        where,
+        orderBy: [{ [sortBy]: order }, { id: order }],
+        take: limit + 1,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
       });
+      
+      const hasMore = rows.length > limit;
+      const products = hasMore ? rows.slice(0, limit) : rows;
+      const stats = await getProductStats(products.map(product => product.id));
   
       // Format the response (convert BigInt to string for JSON)
       const formattedProducts = products.map(product => ({
-        id: product.id,
-        name: product.name,
-        price: product.price.toString(),
-        productType: product.productType,
-        recurringPeriod: product.recurringPeriod,
-        subscribersRegistry: product.subscribersRegistry,
-        merchantId: product.merchantId
+        ...formatProduct(product),
+        ...stats.get(product.id)
       }));
   
       // Return the products
       res.status(200).send({
         success: true,
         count: products.length,
-        products: formattedProducts
+        products: formattedProducts,
+        hasMore,
+        nextCursor: hasMore ? products[products.length - 1].id : null
       });
       
     } catch (err) {
@@ -145,23 +207,20 @@ router.get('/products', authMiddleware, async(req, res) => {
   });
 
   // GET product details by ID with merchant information
-router.get('/:id', async(req, res) => {
+router.get('/:id', validate(getProduct), async(req, res) => {
   try {
     // Get the product ID from the request parameters
     const { id } = req.params;
     
-    if (!id) {
-      return res.status(400).send({
-        error: "Missing required parameter",
-        message: "Product ID is required"
-      });
-    }
-
     // Find the product by ID with merchant data
     const product = await prisma.product.findUnique({
       where: { id },
       include: {
-        Merchant: true // Use capital M to match the schema
+        Merchant: true, // Use capital M to match the schema
+        plans: {
+          where: { archivedAt: null },
+          orderBy: { createdAt: 'asc' }
+        }
       }
     });
 
@@ -173,13 +232,8 @@ router.get('/:id', async(req, res) => {
     }
     // Format the response (convert BigInt to string for JSON)
     const formattedProduct = {
-      id: product.id,
-      name: product.name,
-      price: product.price.toString(),
-      productType: product.productType,
-      recurringPeriod: product.recurringPeriod,
-      subscribersRegistry: product.subscribersRegistry,
-      merchantId: product.merchantId,
+      ...formatProduct(product),
+      plans: product.plans.map(formatPlan),
       merchant: product.Merchant ? {
         id: product.Merchant.id,
         businessName: product.Merchant.businessName,
@@ -205,4 +259,519 @@ router.get('/:id', async(req, res) => {
   }
 });
 
+// Update and archive transactions are issued for one product and submitted to its /:id/sync.
+// A price update that switches the product's coin carries the new coin in its purpose.
+const productSyncPurpose = (productId, coinType) => `PRODUCT_SYNC:${productId}${coinType ? `:${coinType}` : ''}`;
+
+// Why a product can't switch coins, or null if it can. Amounts stored in the current coin's
+// smallest unit would be read in the new coin's, e.g. 1 SUI (1_000_000_000) as 1000 USDC.
+async function coinSwitchBlocker(product) {
+  const [subscribers, plans, links, coupons] = await Promise.all([
+    // Existing subscribers agreed to pay in the current coin
+    prisma.paymentIntent.count({
+      where: { productId: product.id, status: { in: ['ACTIVE', 'FAILED'] } }
+    }),
+    prisma.productPlan.count({
+      where: { productId: product.id, archivedAt: null }
+    }),
+    prisma.paymentLink.count({
+      where: { productId: product.id, amount: { not: null }, ...unexpiredLinks(new Date()) }
+    }),
+    prisma.coupon.count({
+      where: { type: 'FIXED', productIds: { has: product.id }, archivedAt: null }
+    })
+  ]);
+
+  if (subscribers > 0) {
+    return "The coin can't change while the product has active subscriptions";
+  }
+  if (plans > 0) {
+    return "Archive the product's plans before switching coins, their amounts are in the current coin";
+  }
+  if (links > 0) {
+    return "Revoke the product's payment links with an amount before switching coins";
+  }
+  if (coupons > 0) {
+    return "Archive the fixed amount coupons for this product before switching coins";
+  }
+
+  return null;
+}
+
+// Build the transaction that renames a product or changes its price. The merchant signs it
+// and submits it to /:id/sync, which applies the change to the database.
+router.put('/:id', authMiddleware, validate(updateProduct), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), async (req, res) => {
+  try {
+    const { name, price } = req.body;
+
+    const missing = await missingProductFunction('updateProduct');
+    if (missing) {
+      return res.status(501).send({
+        error: "Not supported by the contract",
+        message: missing
+      });
+    }
+
+    const { bytes, digest, gas } = await buildProductUpdateTx(req.id, req.resource, { name, price });
+    const expiresAt = await recordIssuedTransaction(digest, req.id, productSyncPurpose(req.resource.id));
+
+    res.status(200).send({
+      success: true,
+      bytes,
+      gas,
+      expiresAt,
+      message: "Sign this transaction with the merchant wallet and submit it to /api/product/:id/sync"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error building product update",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Build the transaction that archives (or unarchives) a product
+const buildArchiveRoute = (archived) => async (req, res) => {
+  try {
+    const product = req.resource;
+
+    if ((product.archivedAt !== null) === archived) {
+      return res.status(409).send({
+        error: archived ? "Product already archived" : "Product not archived",
+        message: archived ? "This product is already archived" : "This product is not archived"
+      });
+    }
+
+    const missing = await missingProductFunction(archived ? 'archiveProduct' : 'unarchiveProduct');
+    if (missing) {
+      return res.status(501).send({
+        error: "Not supported by the contract",
+        message: missing
+      });
+    }
+
+    const { bytes, digest, gas } = await buildProductArchiveTx(req.id, product, archived);
+    const expiresAt = await recordIssuedTransaction(digest, req.id, productSyncPurpose(product.id));
+
+    res.status(200).send({
+      success: true,
+      bytes,
+      gas,
+      expiresAt,
+      message: "Sign this transaction with the merchant wallet and submit it to /api/product/:id/sync"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: `Error building product ${archived ? 'archive' : 'unarchive'}`,
+      message: err.message || String(err)
+    });
+  }
+};
+
+router.post('/:id/archive', authMiddleware, validate(archiveProduct), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), buildArchiveRoute(true));
+router.post('/:id/unarchive', authMiddleware, validate(archiveProduct), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), buildArchiveRoute(false));
+
+// Execute a signed update/archive transaction and apply the emitted event to the database.
+// Only bytes issued above for this product are accepted.
+router.post('/:id/sync', authMiddleware, validate(syncProduct), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bytes, signature } = req.body;
+
+    const issued = await claimIssuedTransaction(bytes, req.id, { startsWith: productSyncPurpose(id) });
+    if (!issued.success) {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: issued.reason
+      });
+    }
+
+    // Checked again for a coin switch, subscribers or amounts may have been added since it was issued
+    const coinType = issued.purpose.slice(productSyncPurpose(id).length + 1) || null;
+    if (coinType) {
+      const blocker = await coinSwitchBlocker(req.resource);
+      if (blocker) {
+        return res.status(409).send({
+          error: "Coin can't change",
+          message: blocker
+        });
+      }
+    }
+
+    const transResult = await sui.executeTransactionBlock({
+      transactionBlock: bytes,
+      signature,
+      options: {
+        showEffects: true
+      }
+    });
+
+    if (transResult.effects?.status?.status !== 'success') {
+      return res.status(400).send({
+        error: "Transaction failed",
+        message: transResult.effects?.status?.error || "The transaction was not executed successfully"
+      });
+    }
+
+    const eventsResult = await queryEventsWithRetry(transResult.digest);
+    const updateEvent = eventsResult.data.find(event =>
+      event.type.includes(PRODUCT_UPDATE_EVENT) && event.parsedJson?.productId === id
+    );
+
+    if (!updateEvent) {
+      return res.status(400).send({
+        error: "Invalid transaction",
+        message: "Product update event not found in transaction"
+      });
+    }
+
+    // The event is the source of truth, the product row mirrors it
+    const event = updateEvent.parsedJson;
+    const product = await prisma.product.update({
+      where: { id },
+      data: {
+        name: event.name,
+        price: BigInt(event.price),
+        archivedAt: event.archived ? (req.resource.archivedAt || new Date()) : null,
+        ...(coinType && { coinType })
+      }
+    });
+
+    res.status(200).send({
+      success: true,
+      digest: transResult.digest,
+      product: formatProduct(product)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error syncing product",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Update the off-chain catalog details shown at checkout
+router.patch('/:id/catalog', authMiddleware, validate(updateCatalog), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const product = await prisma.product.update({
+      where: { id },
+      data: {
+        ...req.body,
+        // Prisma needs DbNull to clear a Json column
+        ...(req.body.metadata === null && { metadata: Prisma.DbNull })
+      }
+    });
+
+    res.status(200).send({
+      success: true,
+      product: formatProduct(product)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error updating product catalog",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Upload a product image (multipart field "image") and add it to the product's images
+router.post('/:id/images', authMiddleware, validate(productImage), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), uploadImage, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'image: An image file is required',
+        errors: [{ location: 'body', field: 'image', message: 'An image file is required' }]
+      });
+    }
+
+    if (req.resource.imageUrls.length >= MAX_PRODUCT_IMAGES) {
+      return res.status(409).send({
+        error: "Too many images",
+        message: `A product can have at most ${MAX_PRODUCT_IMAGES} images`
+      });
+    }
+
+    const result = await saveProductImage(id, req.file.buffer);
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `image: ${result.reason}`,
+        errors: [{ location: 'body', field: 'image', message: result.reason }]
+      });
+    }
+
+    const product = await prisma.product.update({
+      where: { id },
+      data: { imageUrls: { push: result.url } }
+    });
+
+    res.status(201).send({
+      success: true,
+      url: result.url,
+      product: formatProduct(product)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error uploading product image",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Remove an image from a product, deleting it from storage if it was uploaded here
+router.delete('/:id/images', authMiddleware, validate(removeProductImageSchema), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { url } = req.body;
+
+    if (!req.resource.imageUrls.includes(url)) {
+      return res.status(404).send({
+        error: "Image not found",
+        message: "The product has no image with this URL"
+      });
+    }
+
+    const product = await prisma.product.update({
+      where: { id },
+      data: { imageUrls: req.resource.imageUrls.filter(imageUrl => imageUrl !== url) }
+    });
+
+    await removeImage(url, `products/${id}`);
+
+    res.status(200).send({
+      success: true,
+      product: formatProduct(product)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error removing product image",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Offer (or stop offering) a free trial before the first charge of a subscription
+router.put('/:id/trial', authMiddleware, validate(updateTrial), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), async (req, res) => {
+  try {
+    const { trialDays } = req.body;
+
+    if (req.resource.productType !== 'SUBSCRIPTION') {
+      return res.status(400).send({
+        error: "Invalid product",
+        message: "Only subscription products can have a free trial"
+      });
+    }
+
+    // Subscribers already in a trial keep the length they started with
+    const product = await prisma.product.update({
+      where: { id: req.resource.id },
+      data: { trialDays }
+    });
+
+    res.status(200).send({
+      success: true,
+      product: formatProduct(product)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error updating trial",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Price a product in fiat. Buyers then pay the SUI amount of a quote issued at checkout.
+router.put('/:id/fiat-price', authMiddleware, validate(updateFiatPrice), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), async (req, res) => {
+  try {
+    const { fiatPrice } = req.body;
+
+    // Quotes convert through the SUI price, so fiat pricing needs a SUI product
+    if (fiatPrice && req.resource.coinType !== SUI_COIN_TYPE) {
+      return res.status(400).send({
+        error: "Invalid product",
+        message: "Only products paid in SUI can have a fiat price"
+      });
+    }
+
+    const product = await prisma.product.update({
+      where: { id: req.resource.id },
+      data: {
+        fiatAmount: fiatPrice ? fiatPrice.amount : null,
+        fiatCurrency: fiatPrice ? fiatPrice.currency : null
+      }
+    });
+
+    res.status(200).send({
+      success: true,
+      product: formatProduct(product)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error updating fiat price",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Build the transaction that switches the coin a product is paid in. Its price, plans and
+// coupons are read in that coin's smallest unit, so the on-chain price is set again in the
+// new coin and the switch is applied when the merchant submits it to /:id/sync.
+router.put('/:id/coin', authMiddleware, validate(updateCoin), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), async (req, res) => {
+  try {
+    const { coinType, price } = req.body;
+
+    if (coinType === req.resource.coinType) {
+      return res.status(409).send({
+        error: "Coin unchanged",
+        message: "The product is already paid in this coin, change its price with PUT /api/product/:id"
+      });
+    }
+
+    if (coinType !== SUI_COIN_TYPE && req.resource.fiatAmount !== null) {
+      return res.status(400).send({
+        error: "Invalid coin",
+        message: "Remove the fiat price before switching the product away from SUI"
+      });
+    }
+
+    const blocker = await coinSwitchBlocker(req.resource);
+    if (blocker) {
+      return res.status(409).send({
+        error: "Coin can't change",
+        message: blocker
+      });
+    }
+
+    const missing = await missingProductFunction('updateProduct');
+    if (missing) {
+      return res.status(501).send({
+        error: "Not supported by the contract",
+        message: missing
+      });
+    }
+
+    const { bytes, digest, gas } = await buildProductUpdateTx(req.id, req.resource, { price });
+    const expiresAt = await recordIssuedTransaction(digest, req.id, productSyncPurpose(req.resource.id, coinType));
+
+    res.status(200).send({
+      success: true,
+      bytes,
+      gas,
+      expiresAt,
+      message: "Sign this transaction with the merchant wallet and submit it to /api/product/:id/sync"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error updating coin",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// List the plans of a product that are still offered, for checkout pages
+router.get('/:id/plans', validate(listPlans), async (req, res) => {
+  try {
+    const plans = await prisma.productPlan.findMany({
+      where: { productId: req.params.id, archivedAt: null },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).send({
+      success: true,
+      count: plans.length,
+      plans: plans.map(formatPlan)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error fetching plans",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Add a billing plan, e.g. yearly billing next to the product's own monthly price
+router.post('/:id/plans', authMiddleware, validate(createPlan), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), async (req, res) => {
+  try {
+    const { name, amount, recurringPeriod } = req.body;
+
+    if (req.resource.productType !== 'SUBSCRIPTION') {
+      return res.status(400).send({
+        error: "Invalid product",
+        message: "Only subscription products can have plans"
+      });
+    }
+
+    const plan = await prisma.productPlan.create({
+      data: {
+        name,
+        amount,
+        recurringPeriod,
+        productId: req.resource.id
+      }
+    });
+
+    res.status(201).send({
+      success: true,
+      plan: formatPlan(plan)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error creating plan",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Stop offering a plan. Existing subscribers keep renewing on it.
+router.delete('/:id/plans/:planId', authMiddleware, validate(archivePlan), requireRole('DEVELOPER'), requireScope('products:write'), requireOwnerOf('product'), async (req, res) => {
+  try {
+    const { id, planId } = req.params;
+
+    const plan = await prisma.productPlan.findUnique({
+      where: { id: planId }
+    });
+
+    if (!plan || plan.productId !== id) {
+      return res.status(404).send({
+        error: "Plan not found",
+        message: "The product has no plan with this ID"
+      });
+    }
+
+    const archivedPlan = await prisma.productPlan.update({
+      where: { id: planId },
+      data: { archivedAt: plan.archivedAt || new Date() }
+    });
+
+    res.status(200).send({
+      success: true,
+      plan: formatPlan(archivedPlan),
+      message: "Plan archived successfully"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error archiving plan",
+      message: err.message || String(err)
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -2,6 +2,10 @@ import express from 'express';
 import crypto from 'crypto';
 import jwt from 'jsonwebtoken'
 import authMiddleware from '../../middleware/authMiddleware.js';
+import { requireOwnerOf, requireRole, requireScope } from '../../middleware/authorize.js';
+import requireFreshTotp from '../../middleware/requireTotp.js';
+import validate from '../../middleware/validate.js';
+import { createWebhook, linkProductWebhook, updateWebhook, deleteWebhook, regenerateWebhookSecret } from '../../schemas/webhooks.js';
 import prisma from '../../prismaClient.js';
 import https from 'https';
 import http from 'http';
@@ -28,27 +32,10 @@ const decryptSecret = (encryptedSecret) => {
 };
 
 // Create a new webhook
-router.post('/api-webhooks', authMiddleware, async(req, res) => {
+router.post('/api-webhooks', authMiddleware, validate(createWebhook), requireRole('DEVELOPER'), requireScope('webhooks:write'), async(req, res) => {
   try {
     const { url } = req.body;
     
-    if (!url) {
-      return res.status(400).send({
-        error: "Missing required field",
-        message: "URL is required"
-      });
-    }
-    
-    // Validate URL format
-    try {
-      new URL(url);
-    } catch (err) {
-      return res.status(400).send({
-        error: "Invalid URL",
-        message: "The provided URL is not valid"
-      });
-    }
-    
     // Generate random secret
     const secret = crypto.randomBytes(32).toString('hex');
     
@@ -87,33 +74,11 @@ router.post('/api-webhooks', authMiddleware, async(req, res) => {
 });
 
 // Link webhook to product
-router.post('/products/:productId/webhooks', authMiddleware, async(req, res) => {
+router.post('/products/:productId/webhooks', authMiddleware, validate(linkProductWebhook), requireRole('DEVELOPER'), requireScope('webhooks:write'), requireOwnerOf('product'), async(req, res) => {
   try {
     const { productId } = req.params;
     const { webhookId } = req.body;
     
-    if (!webhookId) {
-      return res.status(400).send({
-        error: "Missing required field",
-        message: "webhookId is required"
-      });
-    }
-    
-    // Check if product exists and belongs to the merchant
-    const product = await prisma.product.findFirst({
-      where: {
-        id: productId,
-        merchantId: req.id
-      }
-    });
-    
-    if (!product) {
-      return res.status(404).send({
-        error: "Product not found",
-        message: "Product not found or does not belong to this merchant"
-      });
-    }
-    
     // Check if webhook exists and belongs to the merchant
     const webhook = await prisma.aPIWebHooks.findFirst({
       where: {
@@ -156,7 +121,7 @@ router.post('/products/:productId/webhooks', authMiddleware, async(req, res) =>
 });
 
 // Get all webhooks for the merchant
-router.get('/api-webhooks', authMiddleware, async(req, res) => {
+router.get('/api-webhooks', authMiddleware, requireRole('DEVELOPER'), requireScope('webhooks:read'), async(req, res) => {
   try {
     // Fetch all webhooks for the merchant
     const webhooks = await prisma.aPIWebHooks.findMany({
@@ -198,40 +163,16 @@ router.get('/api-webhooks', authMiddleware, async(req, res) => {
 });
 
 // Update webhook
-router.put('/api-webhooks/:id', authMiddleware, async(req, res) => {
+router.put('/api-webhooks/:id', authMiddleware, validate(updateWebhook), requireRole('DEVELOPER'), requireScope('webhooks:write'), requireOwnerOf('webhook'), async(req, res) => {
   try {
     const { id } = req.params;
     const { url } = req.body;
     
-    // Check if webhook exists and belongs to the merchant
-    const webhook = await prisma.aPIWebHooks.findFirst({
-      where: {
-        id,
-        merchantId: req.id
-      }
-    });
-    
-    if (!webhook) {
-      return res.status(404).send({
-        error: "Webhook not found",
-        message: "Webhook not found or does not belong to this merchant"
-      });
-    }
-    
     // Prepare update data
     const updateData = {};
     
     if (url) {
-      // Validate URL format
-      try {
-        new URL(url);
-        updateData.url = url;
-      } catch (err) {
-        return res.status(400).send({
-          error: "Invalid URL",
-          message: "The provided URL is not valid"
-        });
-      }
+      updateData.url = url;
     }
     
     // Update webhook
@@ -264,25 +205,10 @@ router.put('/api-webhooks/:id', authMiddleware, async(req, res) => {
 });
 
 // Delete webhook
-router.delete('/api-webhooks/:id', authMiddleware, async(req, res) => {
+router.delete('/api-webhooks/:id', authMiddleware, validate(deleteWebhook), requireRole('DEVELOPER'), requireScope('webhooks:write'), requireOwnerOf('webhook'), async(req, res) => {
   try {
     const { id } = req.params;
     
-    // Check if webhook exists and belongs to the merchant
-    const webhook = await prisma.aPIWebHooks.findFirst({
-      where: {
-        id,
-        merchantId: req.id
-      }
-    });
-    
-    if (!webhook) {
-      return res.status(404).send({
-        error: "Webhook not found",
-        message: "Webhook not found or does not belong to this merchant"
-      });
-    }
-    
     // Delete webhook - the association with product will automatically be removed
     // because we're deleting the webhook record itself
     await prisma.aPIWebHooks.delete({
@@ -304,25 +230,10 @@ router.delete('/api-webhooks/:id', authMiddleware, async(req, res) => {
 });
 
 // Regenerate webhook secret
-router.post('/api-webhooks/:id/regenerate-secret', authMiddleware, async(req, res) => {
+router.post('/api-webhooks/:id/regenerate-secret', authMiddleware, validate(regenerateWebhookSecret), requireRole('DEVELOPER'), requireScope('webhooks:write'), requireOwnerOf('webhook'), requireFreshTotp, async(req, res) => {
   try {
     const { id } = req.params;
     
-    // Check if webhook exists and belongs to the merchant
-    const webhook = await prisma.aPIWebHooks.findFirst({
-      where: {
-        id,
-        merchantId: req.id
-      }
-    });
-    
-    if (!webhook) {
-      return res.status(404).send({
-        error: "Webhook not found",
-        message: "Webhook not found or does not belong to this merchant"
-      });
-    }
-    
     // Generate new secret
     const newSecret = crypto.randomBytes(32).toString('hex');
     const encryptedSecret = encryptSecret(newSecret);
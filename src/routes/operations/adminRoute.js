@@ -0,0 +1,35 @@
+import express from 'express';
+import requireAdmin from '../../middleware/requireAdmin.js';
+import { rateLimit } from '../../middleware/rateLimit.js';
+import validate from '../../middleware/validate.js';
+import { reconcileProducts as reconcileProductsSchema } from '../../schemas/admin.js';
+import { reconcileProducts } from '../../utils/productReconciler.js';
+
+const router = express.Router();
+
+// Trigger a product reconciliation run and return its report
+router.post('/reconcile/products', rateLimit('auth'), requireAdmin, validate(reconcileProductsSchema), async (req, res) => {
+  try {
+    const result = await reconcileProducts(req.body);
+
+    if (!result.success) {
+      return res.status(409).send({
+        error: "Reconciliation in progress",
+        message: result.reason
+      });
+    }
+
+    res.status(200).send({
+      success: true,
+      report: result.report
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({
+      error: "Error reconciling products",
+      message: err.message || String(err)
+    });
+  }
+});
+
+export default router;
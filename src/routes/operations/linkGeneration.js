@@ -1,24 +1,24 @@
 
 import express from 'express';
-import crypto from 'crypto';
 import prisma from '../../prismaClient.js';
 import authMiddleware from '../../middleware/authMiddleware.js';
+import { requireMerchant, requireOwnerOf, requireRole, requireScope } from '../../middleware/authorize.js';
+import { rateLimit, byAccount } from '../../middleware/rateLimit.js';
+import validate from '../../middleware/validate.js';
+import { generateLink, listLinks, revokeLink, viewLink, resolveLink } from '../../schemas/links.js';
+import { resolveCoupon } from '../../utils/coupons.js';
+import { LINK_TTL, createLinkId, signLinkToken, verifyLinkToken, formatLink, linkStatus, paymentLinkUrl, recordLinkView, unexpiredLinks } from '../../utils/paymentLinks.js';
+import { formatPlan } from '../../utils/productPlans.js';
+import { formatProduct } from '../../utils/products.js';
 
 const router = express.Router();
 
-router.post('/generate-link', authMiddleware, async (req, res) => {
+router.post('/generate-link', rateLimit('generateLink'), authMiddleware, validate(generateLink), rateLimit('generateLinkAccount', byAccount), requireRole('DEVELOPER', 'FINANCE'), requireScope('links:write'), requireOwnerOf('product'), async (req, res) => {
   try {
     // Get the product ID and reference ID from the request body
-    const { product_id, ref_id } = req.body;
+    const { product_id, ref_id, coupon, expiresAt, singleUse, maxRedemptions, quantity, amount } = req.body;
     
-    if (!product_id || !ref_id) {
-      return res.status(400).send({
-        error: "Missing required fields",
-        message: "Product ID and reference ID are required"
-      });
-    }
-
-    // Retrieve the product details
+    // Retrieve the product details (ownership was checked by requireOwnerOf)
     const product = await prisma.product.findUnique({
       where: { id: product_id },
       include: {
@@ -26,60 +26,78 @@ router.post('/generate-link', authMiddleware, async (req, res) => {
       }
     });
 
-    if (!product) {
-      return res.status(404).send({
-        error: "Product not found",
-        message: "No product found with the provided ID"
+    if (product.archivedAt) {
+      return res.status(410).send({
+        error: "Product archived",
+        message: "Payment links can't be generated for an archived product"
       });
     }
 
-    // Check if the authenticated user is the owner of this product
-    if (product.merchantId !== req.id) {
-      return res.status(403).send({
-        error: "Access denied",
-        message: "You don't have permission to generate links for this product"
+    // Renewals charge the product's own terms, so only one-time payments can be changed by a link
+    if ((quantity !== undefined || amount !== undefined) && product.productType !== 'ONETIME') {
+      return res.status(400).send({
+        error: "Invalid link options",
+        message: "Quantity and amount can only be set for one-time products"
       });
     }
 
+    // Check the coupon now so the link doesn't fail at checkout. It is only
+    // redeemed when the buyer pays.
+    if (coupon) {
+      const couponCheck = await resolveCoupon(product, coupon);
+      if (!couponCheck.success) {
+        return res.status(400).send({
+          error: "Invalid coupon",
+          message: couponCheck.reason
+        });
+      }
+    }
+
     // Get owner details
     const owner_id = product.merchantId;
     const owner_wallet = product.Merchant.wallet;
 
-    // Create the payload to encrypt
-    const payload = JSON.stringify({
+    const linkId = createLinkId();
+    const createdAt = new Date();
+    const linkExpiresAt = expiresAt === undefined ? new Date(createdAt.getTime() + LINK_TTL) : expiresAt;
+
+    // Sign the link details into the token
+    const { token: safeToken, keyId } = await signLinkToken({
+      link_id: linkId,
       product_id,
       ref_id,
       owner_wallet,
       owner_id,
-      created_at: new Date().toISOString(), // Add timestamp for validity checking
-      expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours expiry
+      ...(coupon && { coupon }),
+      created_at: createdAt.toISOString(), // Add timestamp for validity checking
+      expires_at: linkExpiresAt ? linkExpiresAt.toISOString() : null // null never expires
     });
 
-    // Encryption setup
-    const algorithm = 'aes-256-ctr';
-    // Create a key from the JWT_SECRET (must be 32 bytes for aes-256)
-    const key = crypto.createHash('sha256').update(process.env.JWT_SECRET).digest();
-    // Create a random initialization vector
-    const iv = crypto.randomBytes(16);
-    
-    // Encrypt the payload
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    let encrypted = cipher.update(payload, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    // Combine the IV and encrypted data
-    const result = iv.toString('hex') + ':' + encrypted;
-    
-    // Encode for URL safety
-    const safeToken = Buffer.from(result).toString('base64url');
+    // Keep a record of the link so it can be listed, revoked and tracked
+    const link = await prisma.paymentLink.create({
+      data: {
+        id: linkId,
+        keyId,
+        createdAt,
+        productId: product_id,
+        merchantId: owner_id,
+        ref_id,
+        couponCode: coupon || null,
+        expiresAt: linkExpiresAt,
+        maxRedemptions: singleUse ? 1 : (maxRedemptions ?? null),
+        quantity: quantity ?? null,
+        amount: amount ?? null
+      }
+    });
 
     // Generate the payment link
-    const paymentLink = `https://suipay.com/pay?pay=${safeToken}`;
+    const paymentLink = paymentLinkUrl(safeToken);
 
     // Return the payment link
     res.status(200).send({
       success: true,
-      paymentLink: paymentLink
+      paymentLink: paymentLink,
+      link: formatLink(link)
     });
     
   } catch (err) {
@@ -91,38 +109,192 @@ router.post('/generate-link', authMiddleware, async (req, res) => {
   }
 });
 
-export default router;
+// List the payment links the merchant has issued, newest first
+router.get('/', authMiddleware, validate(listLinks), requireMerchant, requireScope('links:read'), async (req, res) => {
+  try {
+    const { limit, cursor, productId, ref_id, status } = req.query;
+    const now = new Date();
+
+    const where = {
+      merchantId: req.id,
+      ...(productId && { productId }),
+      ...(ref_id && { ref_id }),
+      ...(status === 'ACTIVE' && unexpiredLinks(now)),
+      ...(status === 'REVOKED' && { revokedAt: { not: null } }),
+      ...(status === 'EXPIRED' && { revokedAt: null, expiresAt: { lte: now } })
+    };
+
+    // Fetch one extra row to know whether there is another page
+    const rows = await prisma.paymentLink.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    const hasMore = rows.length > limit;
+    const links = hasMore ? rows.slice(0, limit) : rows;
+
+    res.status(200).send({
+      success: true,
+      count: links.length,
+      links: links.map(formatLink),
+      hasMore,
+      nextCursor: hasMore ? links[links.length - 1].id : null
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error fetching payment links",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Revoke a payment link, e.g. one that leaked. Payments already made are not affected.
+router.delete('/:id', authMiddleware, validate(revokeLink), requireRole('DEVELOPER', 'FINANCE'), requireScope('links:revoke'), requireOwnerOf('paymentLink'), async (req, res) => {
+  try {
+    const link = await prisma.paymentLink.update({
+      where: { id: req.resource.id },
+      data: { revokedAt: req.resource.revokedAt || new Date() }
+    });
 
+    res.status(200).send({
+      success: true,
+      link: formatLink(link),
+      message: "Payment link revoked successfully"
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error revoking payment link",
+      message: err.message || String(err)
+    });
+  }
+});
 
-/*
-// Frontend decryption function
-function decryptPayload(encryptedPayload) {
+// Read a payment link token for the checkout page, so the token key never leaves the server.
+// Counts a view like /:id/view.
+router.get('/resolve/:token', rateLimit('linkView'), validate(resolveLink), async (req, res) => {
   try {
-    // Decode from base64url
-    const encoded = Buffer.from(encryptedPayload, 'base64url').toString();
-    
-    // Split IV and encrypted content
-    const [ivHex, encryptedHex] = encoded.split(':');
-    
-    // Convert hex to buffers
-    const iv = Buffer.from(ivHex, 'hex');
-    const encrypted = Buffer.from(encryptedHex, 'hex');
-    
-    // Create key from the same JWT_SECRET
-    const key = crypto.createHash('sha256').update(process.env.JWT_SECRET).digest();
-    
-    // Create decipher
-    const decipher = crypto.createDecipheriv('aes-256-ctr', key, iv);
-    
-    // Decrypt
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    // Parse and return the payload
-    return JSON.parse(decrypted);
-  } catch (error) {
-    console.error('Decryption error:', error);
-    return null;
+    const payload = await verifyLinkToken(req.params.token);
+
+    if (!payload) {
+      return res.status(404).send({
+        error: "Link not found",
+        message: "This payment link is invalid"
+      });
+    }
+
+    // Links issued before they were stored only carry their own expiry
+    let link = null;
+    if (payload.link_id) {
+      const result = await recordLinkView(payload.link_id);
+
+      if (!result.success) {
+        return res.status(result.status).send({
+          error: result.status === 404 ? "Link not found" : "Link no longer valid",
+          message: result.reason
+        });
+      }
+      link = result.link;
+    } else if (!payload.expires_at || new Date(payload.expires_at) <= new Date()) {
+      return res.status(410).send({
+        error: "Link no longer valid",
+        message: "Payment link expired"
+      });
+    }
+
+    // The stored link wins over the token, which unsigned legacy tokens can't vouch for
+    const details = link
+      ? { productId: link.productId, ref_id: link.ref_id, coupon: link.couponCode }
+      : { productId: payload.product_id, ref_id: payload.ref_id, coupon: payload.coupon || null };
+
+    const product = await prisma.product.findUnique({
+      where: { id: details.productId },
+      include: {
+        Merchant: true,
+        plans: {
+          where: { archivedAt: null },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!product || !product.Merchant) {
+      return res.status(404).send({
+        error: "Product not found",
+        message: "The product of this payment link no longer exists"
+      });
+    }
+
+    if (product.archivedAt) {
+      return res.status(410).send({
+        error: "Product archived",
+        message: "This product is no longer for sale"
+      });
+    }
+
+    res.status(200).send({
+      success: true,
+      // Pass link.id to /pay so the link's limits and price apply
+      link: {
+        id: link ? link.id : null,
+        status: link ? linkStatus(link) : 'ACTIVE',
+        expiresAt: link ? link.expiresAt : payload.expires_at,
+        singleUse: link ? link.maxRedemptions === 1 : false,
+        remainingRedemptions: link && link.maxRedemptions !== null ? link.maxRedemptions - link.redemptionCount : null,
+        quantity: link ? link.quantity : null,
+        amount: link && link.amount !== null ? link.amount.toString() : null
+      },
+      ref_id: details.ref_id,
+      coupon: details.coupon,
+      product: {
+        ...formatProduct(product),
+        plans: product.plans.map(formatPlan)
+      },
+      // Only what the checkout page shows
+      merchant: {
+        id: product.Merchant.id,
+        businessName: product.Merchant.businessName,
+        wallet: product.Merchant.wallet,
+        logoUrl: product.Merchant.logoUrl
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error resolving payment link",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// Count a view when the checkout page opens a link. Revoked and expired links are
+// refused, so the page can stop before the buyer signs anything.
+router.post('/:id/view', rateLimit('linkView'), validate(viewLink), async (req, res) => {
+  try {
+    const result = await recordLinkView(req.params.id);
+
+    if (!result.success) {
+      return res.status(result.status).send({
+        error: result.status === 404 ? "Link not found" : "Link no longer valid",
+        message: result.reason
+      });
+    }
+
+    res.status(200).send({
+      success: true,
+      status: 'ACTIVE',
+      expiresAt: result.link.expiresAt
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error recording payment link view",
+      message: err.message || String(err)
+    });
   }
-}
-*/
+});
+
+export default router;
@@ -0,0 +1,129 @@
+import express from 'express';
+import crypto from 'crypto';
+import prisma from '../../prismaClient.js';
+import { rateLimit } from '../../middleware/rateLimit.js';
+import validate from '../../middleware/validate.js';
+import { linkQr, depositQr } from '../../schemas/qr.js';
+import { linkStatus, paymentLinkUrl, verifyLinkToken } from '../../utils/paymentLinks.js';
+import { readImage } from '../../utils/productImages.js';
+import { renderQrCode } from '../../utils/qrCodes.js';
+
+const router = express.Router();
+
+const LINK_CACHE_SECONDS = 60 * 60; // 1 hour, a revoked link's code may be served this long
+const MAX_DEPOSIT_CACHE_SECONDS = 5 * 60; // 5 minutes
+
+// Render a QR code unless the client's cached copy is still current. The ETag covers
+// everything the image is made from, so it changes with the options or the logo.
+async function sendQrCode(req, res, text, merchantId, maxAge) {
+  const options = req.query;
+
+  const merchant = options.logo && merchantId ? await prisma.merchant.findUnique({
+    where: { id: merchantId },
+    select: { logoUrl: true }
+  }) : null;
+  const logoUrl = merchant?.logoUrl || null;
+
+  const etag = crypto.createHash('sha256')
+    .update(JSON.stringify([text, options.format, options.size, options.margin, options.errorCorrection, logoUrl]))
+    .digest('base64url');
+
+  res.set('ETag', `"${etag}"`);
+  res.set('Cache-Control', `public, max-age=${maxAge}`);
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // Without an uploaded logo the plain code is served
+  const logo = logoUrl ? await readImage(logoUrl) : null;
+  const { body, contentType } = await renderQrCode(text, { ...options, logo });
+
+  res.type(contentType).send(body);
+}
+
+// QR code of a payment link, for the token returned by /api/link/generate-link
+router.get('/link/:token', rateLimit('qr'), validate(linkQr), async (req, res) => {
+  try {
+    const { token } = req.params;
+    const payload = await verifyLinkToken(token);
+
+    if (!payload) {
+      return res.status(404).send({
+        error: "Link not found",
+        message: "This payment link is invalid"
+      });
+    }
+
+    // Links issued before they were stored only carry their own expiry
+    let merchantId = payload.owner_id;
+    if (payload.link_id) {
+      const link = await prisma.paymentLink.findUnique({
+        where: { id: payload.link_id }
+      });
+
+      if (!link) {
+        return res.status(404).send({
+          error: "Link not found",
+          message: "Payment link not found"
+        });
+      }
+
+      const status = linkStatus(link);
+      if (status !== 'ACTIVE') {
+        return res.status(410).send({
+          error: "Link no longer valid",
+          message: `Payment link ${status.toLowerCase()}`
+        });
+      }
+      merchantId = link.merchantId;
+    } else if (!payload.expires_at || new Date(payload.expires_at) <= new Date()) {
+      return res.status(410).send({
+        error: "Link no longer valid",
+        message: "Payment link expired"
+      });
+    }
+
+    await sendQrCode(req, res, paymentLinkUrl(token), merchantId, LINK_CACHE_SECONDS);
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error rendering QR code",
+      message: err.message || String(err)
+    });
+  }
+});
+
+// QR code of a deposit address from the /merchantDepositAddress WebSocket, while it waits for a deposit
+router.get('/deposit/:address', rateLimit('qr'), validate(depositQr), async (req, res) => {
+  try {
+    const deposit = await prisma.ephemeralDeposit.findUnique({
+      where: { address: req.params.address }
+    });
+
+    if (!deposit) {
+      return res.status(404).send({
+        error: "Deposit address not found",
+        message: "No deposit address found with the provided address"
+      });
+    }
+
+    const secondsLeft = Math.floor((deposit.expiresAt.getTime() - Date.now()) / 1000);
+    if (deposit.status !== 'PENDING' || secondsLeft <= 0) {
+      return res.status(410).send({
+        error: "Deposit address no longer valid",
+        message: "This deposit address is no longer accepting deposits"
+      });
+    }
+
+    await sendQrCode(req, res, deposit.address, deposit.merchantId, Math.min(secondsLeft, MAX_DEPOSIT_CACHE_SECONDS));
+  } catch (err) {
+    console.error(err);
+    res.status(400).send({
+      error: "Error rendering QR code",
+      message: err.message || String(err)
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+import express from 'express';
+import prisma from '../../prismaClient.js';
+import authMiddleware from '../../middleware/authMiddleware.js';
+import { forbidden, rejectApiKeys, requireOwnerOf } from '../../middleware/authorize.js';
+import validate from '../../middleware/validate.js';
+import { revokeSession as revokeSessionSchema } from '../../schemas/sessions.js';
+import { revokeSession } from '../../utils/tokenUtils.js';
+
+// Format a session for responses
+const formatSession = (session, currentSessionId) => ({
+  id: session.id,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  current: session.id === currentSessionId,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  createdAt: session.createdAt
+});
+
+/**
+ * Logout and session management, mounted under both /api/user and /api/merchant
+ * @param {string} ownerType - 'USER' or 'MERCHANT', the account type the routes serve
+ * @returns {Object} - Express router
+ */
+export default function createSessionRoutes(ownerType) {
+  const router = express.Router();
+
+  // Only accept logins of the account type this router is mounted for
+  const requireOwnerType = (req, res, next) => {
+    if (req.ownerType !== ownerType) {
+      return forbidden(res, `This endpoint is only available to ${ownerType.toLowerCase()} accounts`);
+    }
+    next();
+  };
+
+  // End the session the request was made with
+  router.post('/logout', authMiddleware, rejectApiKeys, requireOwnerType, async (req, res) => {
+    try {
+      await revokeSession(req.sessionId);
+
+      res.status(200).send({ success: true, message: 'Logged out successfully' });
+    } catch (err) {
+      console.error('Logout error:', err);
+      res.status(500).send({ message: 'Error logging out' });
+    }
+  });
+
+  // List the devices currently signed in to this login
+  router.get('/sessions', authMiddleware, rejectApiKeys, requireOwnerType, async (req, res) => {
+    try {
+      const sessions = await prisma.session.findMany({
+        where: {
+          ownerId: req.id,
+          ownerType,
+          memberId: req.memberId || null,
+          revokedAt: null,
+          expiresAt: { gt: new Date() }
+        },
+        orderBy: { lastUsedAt: 'desc' }
+      });
+
+      res.status(200).send({
+        success: true,
+        count: sessions.length,
+        sessions: sessions.map(session => formatSession(session, req.sessionId))
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(400).send({
+        error: "Error fetching sessions",
+        message: err.message || String(err)
+      });
+    }
+  });
+
+  // Sign a device out
+  router.delete('/sessions/:id', authMiddleware, validate(revokeSessionSchema), rejectApiKeys, requireOwnerType, requireOwnerOf('session'), async (req, res) => {
+    try {
+      await revokeSession(req.params.id);
+
+      res.status(200).send({
+        success: true,
+        message: "Session revoked successfully"
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(400).send({
+        error: "Error revoking session",
+        message: err.message || String(err)
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,9 @@
+import { z } from 'zod';
+
+export const reconcileProducts = {
+  body: z.object({
+    maxPages: z.number().int().min(1).max(1000).optional(),
+    reset: z.boolean().default(false),
+    checkDatabase: z.boolean().default(false)
+  })
+};
@@ -0,0 +1,21 @@
+import { z } from 'zod';
+import { uuid, withTotp } from './common.js';
+import { API_KEY_SCOPES, PUBLISHABLE_SCOPES } from '../utils/apiKeyUtils.js';
+
+export const createApiKey = {
+  body: z.object({
+    name: z.string().trim().min(1, 'Name is required').max(100),
+    type: z.enum(['SECRET', 'PUBLISHABLE']).default('SECRET'),
+    scopes: z.array(z.enum(API_KEY_SCOPES)).default([]),
+    ...withTotp
+  }).refine(
+    ({ type, scopes }) => type !== 'PUBLISHABLE' || scopes.every(scope => PUBLISHABLE_SCOPES.includes(scope)),
+    { path: ['scopes'], message: `Publishable keys are limited to: ${PUBLISHABLE_SCOPES.join(', ')}` }
+  )
+};
+
+export const revokeApiKey = {
+  params: z.object({
+    id: uuid
+  })
+};
@@ -0,0 +1,89 @@
+import { z } from 'zod';
+import { suiAddress, email, password, currentPassword, token, base64, totpCode } from './common.js';
+
+// Shared by the user (/api/user) and merchant (/api/merchant) auth routers
+
+export const userSignUp = {
+  body: z.object({
+    id: suiAddress,
+    email,
+    password: password.optional() // Wallet-only accounts have no password
+  })
+};
+
+export const merchantSignUp = {
+  body: userSignUp.body.extend({
+    businessName: z.string().trim().min(1, 'Business name is required').max(100)
+  })
+};
+
+export const userLogin = {
+  body: z.object({
+    id: suiAddress,
+    password: currentPassword
+  })
+};
+
+export const merchantLogin = {
+  body: userLogin.body.extend({
+    totpCode: totpCode.optional()
+  })
+};
+
+export const walletChallenge = {
+  body: z.object({
+    id: suiAddress
+  })
+};
+
+export const userWalletLogin = {
+  body: z.object({
+    id: suiAddress,
+    nonce: z.string().regex(/^[0-9a-f]{32}$/, 'Must be a challenge nonce'),
+    signature: base64
+  })
+};
+
+export const merchantWalletLogin = {
+  body: userWalletLogin.body.extend({
+    totpCode: totpCode.optional()
+  })
+};
+
+export const refresh = {
+  body: z.object({
+    refreshToken: token
+  })
+};
+
+export const verifyEmail = {
+  body: z.object({
+    token
+  })
+};
+
+export const forgotPassword = {
+  body: z.object({
+    id: suiAddress
+  })
+};
+
+export const resetPassword = {
+  body: z.object({
+    token,
+    password
+  })
+};
+
+export const loginTotp = {
+  body: z.object({
+    mfaToken: token,
+    code: totpCode
+  })
+};
+
+export const enableTotp = {
+  body: z.object({
+    code: z.string().regex(/^\d{6}$/, 'Must be a 6 digit code')
+  })
+};
@@ -0,0 +1,59 @@
+import { z } from 'zod';
+import { getCoin } from '../utils/coinRegistry.js';
+
+// Building blocks shared by the route schemas
+
+export const suiAddress = z.string().regex(/^0x[0-9a-fA-F]{64}$/, 'Must be a 0x-prefixed 64 character hex Sui address');
+
+// On-chain object IDs (products, payment intents) share the address format
+export const objectId = z.string().regex(/^0x[0-9a-fA-F]{64}$/, 'Must be a 0x-prefixed 64 character hex object ID');
+
+export const uuid = z.uuid('Must be a UUID');
+
+// u64 MIST amounts, sent as a string or a safe integer
+export const mistAmount = z.union([
+  z.string().regex(/^\d{1,20}$/),
+  z.number().int().nonnegative().max(Number.MAX_SAFE_INTEGER)
+], 'Must be an amount in MIST')
+  .transform(value => BigInt(value))
+  .refine(value => value < 2n ** 64n, 'Must fit in a u64');
+
+// Accepted coin types, stored in the format the coin registry uses
+export const coinType = z.string().max(300)
+  .refine(value => getCoin(value) !== null, 'Must be a supported coin type')
+  .transform(value => getCoin(value).coinType);
+
+// Coupon codes are matched case-insensitively and stored upper case
+export const couponCode = z.string().trim()
+  .regex(/^[A-Za-z0-9_-]{3,32}$/, 'Must be 3-32 letters, digits, - or _')
+  .transform(value => value.toUpperCase());
+
+// Short payment link IDs from /api/link/generate-link
+export const linkId = z.string().regex(/^[A-Za-z0-9_-]{12}$/, 'Must be a payment link ID');
+
+// Payment link tokens: signed JWTs, or base64url for tokens issued before signing
+export const linkToken = z.string().regex(/^[A-Za-z0-9_.-]{1,4096}$/, 'Must be a payment link token');
+
+export const email = z.email('Must be a valid email address').max(254);
+
+// bcrypt only looks at the first 72 bytes
+export const password = z.string().min(8, 'Must be at least 8 characters').max(72, 'Must be at most 72 characters');
+
+// Existing passwords are only checked for presence, never against the current rules
+export const currentPassword = z.string().min(1, 'Password is required').max(72);
+
+export const token = z.string().min(1, 'Token is required').max(512);
+
+// Serialized transaction bytes and signatures are sent base64 encoded
+export const base64 = z.base64('Must be base64 encoded').min(1);
+
+// 6 digit authenticator code or a recovery code (xxxxx-xxxxx)
+export const totpCode = z.string().regex(/^(\d{6}|[0-9a-f]{5}-[0-9a-f]{5})$/, 'Must be a 6 digit code or a recovery code');
+
+// Routes behind requireFreshTotp may take the code in the body instead of the X-TOTP-Code header
+export const withTotp = { totpCode: totpCode.optional() };
+
+export const pagination = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20)
+});
@@ -0,0 +1,37 @@
+import { z } from 'zod';
+import { objectId, uuid, mistAmount, couponCode, coinType } from './common.js';
+import { SUI_COIN_TYPE } from '../utils/coinRegistry.js';
+
+export const createCoupon = {
+  body: z.object({
+    code: couponCode,
+    type: z.enum(['PERCENT', 'FIXED']),
+    percentOff: z.number().int().min(1).max(100).optional(),
+    amountOff: mistAmount.refine(value => value > 0n, 'Must be more than 0').optional(),
+    // Coin amountOff is in, fixed coupons only apply to products in that coin (default: SUI)
+    coinType: coinType.optional(),
+    duration: z.enum(['ONCE', 'REPEATING', 'FOREVER']).default('ONCE'),
+    durationCycles: z.number().int().min(1).max(1000).optional(),
+    productIds: z.array(objectId).max(100).default([]),
+    maxRedemptions: z.number().int().min(1).optional(),
+    expiresAt: z.iso.datetime({ offset: true })
+      .transform(value => new Date(value))
+      .refine(value => value > new Date(), 'Must be in the future')
+      .optional()
+  })
+    .refine(({ type, percentOff, amountOff }) => type !== 'PERCENT' || (percentOff !== undefined && amountOff === undefined),
+      { path: ['percentOff'], message: 'Percentage coupons need percentOff and no amountOff' })
+    .refine(({ type, percentOff, amountOff }) => type !== 'FIXED' || (amountOff !== undefined && percentOff === undefined),
+      { path: ['amountOff'], message: 'Fixed coupons need amountOff and no percentOff' })
+    .refine(({ type, coinType }) => type !== 'PERCENT' || coinType === undefined,
+      { path: ['coinType'], message: 'Only fixed coupons take a coinType' })
+    .refine(({ duration, durationCycles }) => (duration === 'REPEATING') === (durationCycles !== undefined),
+      { path: ['durationCycles'], message: 'Only repeating coupons take durationCycles, and they need it' })
+    .transform(body => (body.type === 'FIXED' ? { ...body, coinType: body.coinType ?? SUI_COIN_TYPE } : body))
+};
+
+export const archiveCoupon = {
+  params: z.object({
+    id: uuid
+  })
+};
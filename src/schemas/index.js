@@ -0,0 +1,47 @@
+import { z } from 'zod';
+import * as auth from './auth.js';
+import * as members from './members.js';
+import * as apiKeys from './apiKeys.js';
+import * as products from './products.js';
+import * as webhooks from './webhooks.js';
+import * as links from './links.js';
+import * as subscriptions from './subscriptions.js';
+import * as wallet from './wallet.js';
+import * as sessions from './sessions.js';
+import * as coupons from './coupons.js';
+import * as admin from './admin.js';
+import * as qr from './qr.js';
+
+// Route schemas grouped by router. Each entry may define body, params and query.
+export const routeSchemas = { auth, sessions, members, apiKeys, products, webhooks, links, subscriptions, wallet, coupons, admin, qr };
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Convert every route schema to JSON Schema, e.g. for client generation
+ * @returns {Object} - { [group]: { [route]: { body, params, query } } }
+ */
+export function toJsonSchemas() {
+  const result = {};
+
+  for (const [group, routes] of Object.entries(routeSchemas)) {
+    result[group] = {};
+
+    for (const [name, schemas] of Object.entries(routes)) {
+      // Skip building blocks such as memberRole that aren't route schemas
+      if (!LOCATIONS.some(location => schemas[location])) {
+        continue;
+      }
+
+      result[group][name] = {};
+      for (const location of LOCATIONS) {
+        if (schemas[location]) {
+          // Describe what clients send, before defaults and coercion are applied
+          result[group][name][location] = z.toJSONSchema(schemas[location], { io: 'input', unrepresentable: 'any' });
+        }
+      }
+    }
+  }
+
+  return result;
+}
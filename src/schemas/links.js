@@ -0,0 +1,53 @@
+import { z } from 'zod';
+import { objectId, couponCode, linkId, linkToken, mistAmount } from './common.js';
+
+export const generateLink = {
+  body: z.object({
+    product_id: objectId,
+    ref_id: z.string().trim().min(1, 'Reference ID is required').max(255),
+    coupon: couponCode.optional(),
+    // Leave out for the default 24 hours, null for a link that never expires
+    expiresAt: z.iso.datetime({ offset: true })
+      .transform(value => new Date(value))
+      .refine(value => value > new Date(), 'Must be in the future')
+      .nullable()
+      .optional(),
+    singleUse: z.boolean().default(false),
+    maxRedemptions: z.number().int().min(1).max(1000000).optional(),
+    // One-time products only
+    quantity: z.number().int().min(1).max(1000).optional(),
+    amount: mistAmount.refine(value => value > 0n, 'Must be more than 0').optional()
+  })
+    .refine(({ singleUse, maxRedemptions }) => !singleUse || maxRedemptions === undefined,
+      { path: ['maxRedemptions'], message: 'Single-use links take no maxRedemptions' })
+    .refine(({ quantity, amount }) => quantity === undefined || amount === undefined,
+      { path: ['amount'], message: 'Set either quantity or amount, not both' })
+};
+
+export const listLinks = {
+  query: z.object({
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    cursor: linkId.optional(), // nextCursor from the previous page
+    productId: objectId.optional(),
+    ref_id: z.string().trim().min(1).max(255).optional(),
+    status: z.enum(['ACTIVE', 'REVOKED', 'EXPIRED']).optional() // ACTIVE includes used up links
+  })
+};
+
+export const revokeLink = {
+  params: z.object({
+    id: linkId
+  })
+};
+
+export const viewLink = {
+  params: z.object({
+    id: linkId
+  })
+};
+
+export const resolveLink = {
+  params: z.object({
+    token: linkToken
+  })
+};
@@ -0,0 +1,47 @@
+import { z } from 'zod';
+import { suiAddress, uuid, email, password, currentPassword, token, withTotp } from './common.js';
+
+export const memberRole = z.enum(['OWNER', 'DEVELOPER', 'FINANCE', 'READ_ONLY']);
+
+const memberParams = z.object({
+  id: uuid
+});
+
+export const inviteMember = {
+  body: z.object({
+    email,
+    role: memberRole,
+    ...withTotp
+  })
+};
+
+export const resendInvite = {
+  params: memberParams
+};
+
+export const acceptInvite = {
+  body: z.object({
+    token,
+    password
+  })
+};
+
+export const memberLogin = {
+  body: z.object({
+    merchantId: suiAddress,
+    email,
+    password: currentPassword
+  })
+};
+
+export const updateMember = {
+  params: memberParams,
+  body: z.object({
+    role: memberRole,
+    ...withTotp
+  })
+};
+
+export const removeMember = {
+  params: memberParams
+};
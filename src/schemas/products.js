@@ -0,0 +1,162 @@
+import { z } from 'zod';
+import { objectId, base64, uuid, mistAmount, coinType } from './common.js';
+import { FIAT_CURRENCIES } from '../utils/priceService.js';
+
+export const createProduct = {
+  body: z.object({
+    bytes: base64,
+    signature: base64
+  })
+};
+
+export const getProduct = {
+  params: z.object({
+    id: objectId
+  })
+};
+
+const productParams = z.object({
+  id: objectId
+});
+
+const price = mistAmount;
+
+// Billing period in milliseconds, stored in a 32 bit column
+const recurringPeriod = z.number().int().min(60 * 1000, 'Must be at least one minute').max(2147483647);
+
+export const updateProduct = {
+  params: productParams,
+  body: z.object({
+    name: z.string().trim().min(1, 'Name is required').max(100).optional(),
+    price: price.optional()
+  }).refine(({ name, price }) => name !== undefined || price !== undefined, 'Provide a new name or price')
+};
+
+export const archiveProduct = {
+  params: productParams
+};
+
+export const syncProduct = {
+  params: productParams,
+  body: z.object({
+    bytes: base64,
+    signature: base64
+  })
+};
+
+const httpUrl = z.url({ protocol: /^https?$/, error: 'Must be an http(s) URL' }).max(2048);
+
+// Stored images are returned as paths when STORAGE_PUBLIC_URL is relative. Paths may not
+// step out of a directory, since removing an image deletes the file they name.
+const imagePath = z.string()
+  .regex(/^\/(?!\/)[\w\-./]+$/)
+  .refine(value => !value.split('/').some(segment => segment === '.' || segment === '..'));
+
+const imageUrl = z.union([httpUrl, imagePath], 'Must be an http(s) URL or an uploaded image path');
+
+// Send null to clear a field, omit it to leave it unchanged
+export const updateCatalog = {
+  params: productParams,
+  body: z.object({
+    description: z.string().trim().max(5000).nullable().optional(),
+    imageUrls: z.array(imageUrl).max(10, 'At most 10 images').optional(),
+    supportUrl: httpUrl.nullable().optional(),
+    // Same rules card networks apply to statement descriptors
+    statementDescriptor: z.string().trim()
+      .min(5, 'Must be at least 5 characters')
+      .max(22, 'Must be at most 22 characters')
+      .regex(/^[^<>\\'"*]*[A-Za-z][^<>\\'"*]*$/, 'Must contain a letter and none of < > \\ \' " *')
+      .nullable()
+      .optional(),
+    metadata: z.record(
+      z.string().min(1).max(40),
+      z.string().max(500)
+    ).refine(map => Object.keys(map).length <= 50, 'At most 50 keys').nullable().optional()
+  })
+};
+
+export const productImage = {
+  params: productParams
+};
+
+export const removeProductImage = {
+  params: productParams,
+  body: z.object({
+    url: imageUrl
+  })
+};
+
+export const listProducts = {
+  query: z.object({
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    cursor: objectId.optional(), // nextCursor from the previous page
+    search: z.string().trim().min(1).max(100).optional(),
+    productType: z.enum(['ONETIME', 'SUBSCRIPTION']).optional(),
+    archived: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+    sortBy: z.enum(['createdAt', 'price']).default('createdAt'),
+    order: z.enum(['asc', 'desc']).default('desc')
+  })
+};
+
+export const buildCreateProduct = {
+  body: z.object({
+    name: z.string().trim().min(1, 'Name is required').max(100),
+    price,
+    productType: z.enum(['ONETIME', 'SUBSCRIPTION']),
+    recurringPeriod: recurringPeriod.optional()
+  }).refine(
+    ({ productType, recurringPeriod }) => productType !== 'SUBSCRIPTION' || recurringPeriod !== undefined,
+    { path: ['recurringPeriod'], message: 'Subscription products need a recurring period' }
+  )
+};
+
+export const listPlans = {
+  params: productParams
+};
+
+export const createPlan = {
+  params: productParams,
+  body: z.object({
+    name: z.string().trim().min(1, 'Name is required').max(100),
+    amount: price,
+    // Plans store a wider period than products, up to ten years
+    recurringPeriod: z.number().int().min(60 * 1000, 'Must be at least one minute').max(10 * 365 * 24 * 60 * 60 * 1000)
+      .transform(value => BigInt(value))
+  })
+};
+
+export const archivePlan = {
+  params: productParams.extend({
+    planId: uuid
+  })
+};
+
+// Send null to stop offering a trial
+export const updateTrial = {
+  params: productParams,
+  body: z.object({
+    trialDays: z.number().int().min(1).max(365).nullable()
+  })
+};
+
+// Send null to go back to pricing in MIST only
+export const updateFiatPrice = {
+  params: productParams,
+  body: z.object({
+    fiatPrice: z.object({
+      amount: z.string().regex(/^\d{1,7}(\.\d{1,2})?$/, 'Must be an amount like 9.99')
+        .transform(value => Math.round(Number(value) * 100)) // Minor units
+        .refine(value => value > 0, 'Must be more than 0'),
+      currency: z.enum(FIAT_CURRENCIES)
+    }).nullable()
+  })
+};
+
+// Amounts are in the coin's smallest unit, so the price is set again in the new coin
+export const updateCoin = {
+  params: productParams,
+  body: z.object({
+    coinType,
+    price
+  })
+};
@@ -0,0 +1,29 @@
+import { z } from 'zod';
+import { suiAddress, linkToken } from './common.js';
+
+// Rendering options shared by every QR code route
+const qrOptions = z.object({
+  format: z.enum(['png', 'svg']).default('png'),
+  size: z.coerce.number().int().min(64).max(2048).default(300), // pixels
+  margin: z.coerce.number().int().min(0).max(16).default(4), // modules of quiet zone
+  // Defaults to M, or H with a logo
+  errorCorrection: z.enum(['L', 'M', 'Q', 'H']).optional(),
+  logo: z.enum(['true', 'false']).transform(value => value === 'true').default(false)
+})
+  .refine(({ logo, errorCorrection }) => !logo || !['L', 'M'].includes(errorCorrection),
+    { path: ['errorCorrection'], message: 'A logo needs error correction Q or H to stay scannable' })
+  .transform(options => ({ ...options, errorCorrection: options.errorCorrection || (options.logo ? 'H' : 'M') }));
+
+export const linkQr = {
+  params: z.object({
+    token: linkToken
+  }),
+  query: qrOptions
+};
+
+export const depositQr = {
+  params: z.object({
+    address: suiAddress
+  }),
+  query: qrOptions
+};
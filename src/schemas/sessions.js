@@ -0,0 +1,8 @@
+import { z } from 'zod';
+import { uuid } from './common.js';
+
+export const revokeSession = {
+  params: z.object({
+    id: uuid
+  })
+};
@@ -0,0 +1,52 @@
+import { z } from 'zod';
+import { suiAddress, objectId, base64, uuid, couponCode, linkId } from './common.js';
+
+export const sendTestWebhook = {
+  body: z.object({
+    productId: objectId,
+    event: z.enum(['payment_success', 'payment_failed', 'unsubscribed', 'trial_started', 'trial_ending', 'payment_mismatch']).optional(),
+    amount: z.union([z.string().regex(/^\d+$/), z.number().int().nonnegative()], 'Must be an amount in MIST').optional(),
+    ref_id: z.string().max(255).optional(),
+    userId: suiAddress.optional(),
+    userWallet: suiAddress.optional(),
+    planId: uuid.optional()
+  })
+};
+
+// Signed transactions for /pay and /unsubscribe
+export const signedTransaction = {
+  body: z.object({
+    bytes: base64,
+    signature: base64
+  })
+};
+
+// Signed payment for /pay, with the plan the buyer chose for a subscription product,
+// the coupon code entered at checkout or carried by the payment link, and the link itself
+export const pay = {
+  body: signedTransaction.body.extend({
+    planId: uuid.optional(),
+    couponCode: couponCode.optional(),
+    quoteId: uuid.optional(), // Required for fiat priced products, from /quote
+    linkId: linkId.optional() // From /api/link/resolve/:token
+  })
+};
+
+export const createQuote = {
+  body: z.object({
+    productId: objectId
+  })
+};
+
+// Signed transaction creating a payment intent without a charge, for /start-trial
+export const startTrial = {
+  body: signedTransaction.body.extend({
+    planId: uuid.optional()
+  })
+};
+
+export const cancelSubscription = {
+  params: z.object({
+    paymentIntentId: objectId
+  })
+};
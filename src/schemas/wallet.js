@@ -0,0 +1,12 @@
+import { z } from 'zod';
+import { suiAddress, pagination } from './common.js';
+
+export const depositStatus = {
+  params: z.object({
+    address: suiAddress
+  })
+};
+
+export const transactions = {
+  query: pagination
+};
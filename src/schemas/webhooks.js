@@ -0,0 +1,38 @@
+import { z } from 'zod';
+import { objectId, uuid } from './common.js';
+
+const webhookUrl = z.url({ protocol: /^https?$/, error: 'Must be an http(s) URL' }).max(2048);
+
+const webhookParams = z.object({
+  id: uuid
+});
+
+export const createWebhook = {
+  body: z.object({
+    url: webhookUrl
+  })
+};
+
+export const linkProductWebhook = {
+  params: z.object({
+    productId: objectId
+  }),
+  body: z.object({
+    webhookId: uuid
+  })
+};
+
+export const updateWebhook = {
+  params: webhookParams,
+  body: z.object({
+    url: webhookUrl.optional()
+  })
+};
+
+export const deleteWebhook = {
+  params: webhookParams
+};
+
+export const regenerateWebhookSecret = {
+  params: webhookParams
+};
@@ -5,34 +5,67 @@ import merchantAuthRoutes from './routes/merchants/merchantAuthRoute.js';
 import merchantWalletRoutes from './routes/merchants/merchantWalletRoute.js';
 import productRoutes from './routes/merchants/productRoute.js';
 import webhookRoutes from './routes/merchants/webhookRoute.js';
+import apiKeyRoutes from './routes/merchants/apiKeyRoute.js';
+import memberRoutes from './routes/merchants/memberRoute.js';
+import couponRoutes from './routes/merchants/couponRoute.js';
 import prisma from './prismaClient.js';
 import userAuthRoutes from './routes/enduser/enduserAuthRoute.js';
 import linkGenerationRoutes from './routes/operations/linkGeneration.js';
 import subsccriptionRoutes from './routes/enduser/subscriptionRoute.js';
-import axios from 'axios';
+import createSessionRoutes from './routes/operations/sessionRoute.js';
+import adminRoutes from './routes/operations/adminRoute.js';
+import qrRoutes from './routes/operations/qrRoute.js';
+import schedule from 'node-schedule';
+import { rateLimit } from './middleware/rateLimit.js';
+import { toJsonSchemas } from './schemas/index.js';
+import { getStorage } from './utils/storage/index.js';
+import { reconcileProducts } from './utils/productReconciler.js';
+import { getSuiPrice } from './utils/priceService.js';
+import { listCoins } from './utils/coinRegistry.js';
 
 // Create Express app with WebSocket support
 const app = express();
 expressWs(app);
 
+// Rate limits are keyed by req.ip, so honour X-Forwarded-For when running behind a proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
 // Configure CORS middleware
 app.use(cors({
   origin: '*',  // During development you can use * to allow all origins
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-TOTP-Code', 'X-Admin-Key'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
   credentials: true
 }));
 
 // Parse JSON request bodies
 app.use(express.json());
 
+// Serve uploaded product images when they are stored on local disk
+if (getStorage().name === 'local') {
+  app.use('/uploads', express.static(getStorage().directory, {
+    fallthrough: false,
+    setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+  }));
+}
+
 // Register routes
+app.use('/api/merchant/members', memberRoutes);
+app.use('/api/merchant', createSessionRoutes('MERCHANT'));
 app.use('/api/merchant', merchantAuthRoutes);
 app.use('/api/wallet', merchantWalletRoutes);
 app.use('/api/product', productRoutes);
 app.use('/api/webhook',webhookRoutes );
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/user', createSessionRoutes('USER'));
 app.use('/api/user',userAuthRoutes);
 app.use('/api/link', linkGenerationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/qr', qrRoutes);
 app.use('/api', subsccriptionRoutes);
 
 // Basic health check endpoint
@@ -40,36 +73,21 @@ app.get('/health', (req, res) => {
   res.status(200).send({ status: 'ok' });
 });
 
-app.get('/api/price',async (req, res) => {
+// JSON Schemas of every route's body, params and query, for client generation
+let jsonSchemas;
+app.get('/api/schemas', (req, res) => {
+  jsonSchemas = jsonSchemas || toJsonSchemas();
+  res.json(jsonSchemas);
+});
+
+// Coins products can be priced in and deposits can be made with
+app.get('/api/coins', (req, res) => {
+  res.json({ coins: listCoins() });
+});
+
+app.get('/api/price', rateLimit('price'), async (req, res) => {
   try {
-    // Make the request to CoinMarketCap API
-    const response = await axios.get('https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest', {
-      headers: {
-        'X-CMC_PRO_API_KEY': process.env.CMC_API_KEY,
-      },
-      params: {
-        'symbol': 'SUI'
-      }
-    });
-    
-    // Extract the relevant data
-    const suiData = response.data.data.SUI;
-    const price = suiData.quote.USD.price;
-    const percentChange24h = suiData.quote.USD.percent_change_24h;
-    const marketCap = suiData.quote.USD.market_cap;
-    const volume24h = suiData.quote.USD.volume_24h;
-    const lastUpdated = suiData.quote.USD.last_updated;
-    
-    // Send back a simplified response
-    res.json({
-      symbol: 'SUI',
-      name: suiData.name,
-      price: price,
-      percent_change_24h: percentChange24h,
-      market_cap: marketCap,
-      volume_24h: volume24h,
-      last_updated: lastUpdated
-    });
+    res.json(await getSuiPrice('USD'));
   } catch (error) {
     console.error('Error fetching SUI price:', error.response ? error.response.data : error.message);
     res.status(500).json({ 
@@ -79,6 +97,18 @@ app.get('/api/price',async (req, res) => {
   }
 });
 
+// Answer malformed JSON bodies with the same shape as schema validation errors
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Request body is not valid JSON',
+      errors: [{ location: 'body', field: '', message: err.message }]
+    });
+  }
+  next(err);
+});
+
 // Clean up expired deposits on server start
 const cleanupExpiredDeposits = async () => {
   try {
@@ -107,6 +137,13 @@ app.listen(PORT, async () => {
   
   // Run cleanup on server start
   await cleanupExpiredDeposits();
+
+  // Backfill products whose creation never reached the database, e.g. PRODUCT_RECONCILE_CRON="*/15 * * * *"
+  if (process.env.PRODUCT_RECONCILE_CRON) {
+    schedule.scheduleJob(process.env.PRODUCT_RECONCILE_CRON, () => {
+      reconcileProducts().catch(error => console.error('Scheduled product reconciliation failed:', error));
+    });
+  }
   
   // Log available routes
   console.log('Available WebSocket routes:');
@@ -0,0 +1,26 @@
+import { sendMail } from './mailer/index.js';
+import { verificationEmail, passwordResetEmail } from './mailer/messages.js';
+import { createEmailToken, invalidateEmailTokens } from './emailTokens.js';
+
+/**
+ * Email a fresh verification link to a user or merchant
+ * @param {Object} owner - User or merchant record
+ * @param {string} ownerType - 'USER' or 'MERCHANT'
+ */
+export async function sendVerificationEmail(owner, ownerType) {
+  // Only the newest link should work
+  await invalidateEmailTokens(owner.id, ownerType, 'VERIFY_EMAIL');
+  const token = await createEmailToken(owner.id, ownerType, 'VERIFY_EMAIL');
+  await sendMail(verificationEmail(owner.email, token));
+}
+
+/**
+ * Email a password reset link to a user or merchant
+ * @param {Object} owner - User or merchant record
+ * @param {string} ownerType - 'USER' or 'MERCHANT'
+ */
+export async function sendPasswordResetEmail(owner, ownerType) {
+  await invalidateEmailTokens(owner.id, ownerType, 'RESET_PASSWORD');
+  const token = await createEmailToken(owner.id, ownerType, 'RESET_PASSWORD');
+  await sendMail(passwordResetEmail(owner.email, token));
+}
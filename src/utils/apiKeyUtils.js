@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import prisma from '../prismaClient.js';
+import { hashToken } from './tokenUtils.js';
+
+// Scopes a merchant can grant to an API key
+export const API_KEY_SCOPES = [
+  'products:read',
+  'products:write',
+  'links:read',
+  'links:write',
+  'links:revoke',
+  'coupons:read',
+  'coupons:write',
+  'webhooks:read',
+  'webhooks:write',
+  'wallet:read'
+];
+
+// Publishable keys may be shipped to browsers, so they can never exceed these scopes
+export const PUBLISHABLE_SCOPES = ['products:read', 'links:write'];
+
+const KEY_PREFIXES = {
+  SECRET: 'sk',
+  PUBLISHABLE: 'pk'
+};
+
+/**
+ * Check whether a credential looks like a SuiPay API key
+ * @param {string} value - Raw credential from the request
+ * @returns {boolean}
+ */
+export function isApiKey(value) {
+  return typeof value === 'string' && /^(sk|pk)_[0-9a-f]{12}_[0-9a-f]{48}$/.test(value);
+}
+
+/**
+ * Generate a new API key for a merchant
+ * @param {string} merchantId - Owning merchant ID
+ * @param {string} name - Human readable label
+ * @param {string} type - 'SECRET' or 'PUBLISHABLE'
+ * @param {string[]} scopes - Granted scopes (empty grants every scope to secret keys)
+ * @returns {Promise<Object>} - { apiKey, key } where key is the plaintext, shown only once
+ */
+export async function createApiKey(merchantId, name, type, scopes = []) {
+  const prefix = `${KEY_PREFIXES[type]}_${crypto.randomBytes(6).toString('hex')}`;
+  const secret = crypto.randomBytes(24).toString('hex');
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name,
+      type,
+      prefix,
+      keyHash: hashToken(secret),
+      scopes: type === 'PUBLISHABLE' && scopes.length === 0 ? PUBLISHABLE_SCOPES : scopes,
+      merchantId
+    }
+  });
+
+  return { apiKey, key: `${prefix}_${secret}` };
+}
+
+// The secret part is 192 random bits, so a SHA-256 hash is as safe as a slow one and keeps
+// key checks cheap. Keys created before carry a bcrypt hash, checked without blocking.
+async function secretMatches(secret, keyHash) {
+  if (keyHash.startsWith('$2')) {
+    return bcrypt.compare(secret, keyHash);
+  }
+
+  const expected = Buffer.from(keyHash, 'hex');
+  const actual = Buffer.from(hashToken(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Resolve a plaintext API key to its active database record
+ * @param {string} key - Plaintext API key
+ * @returns {Promise<Object|null>} - The API key record, or null if unknown, revoked or wrong
+ */
+export async function verifyApiKey(key) {
+  if (!isApiKey(key)) {
+    return null;
+  }
+
+  const prefix = key.slice(0, 15);
+  const secret = key.slice(16);
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { prefix }
+  });
+
+  if (!apiKey || apiKey.revokedAt || !await secretMatches(secret, apiKey.keyHash)) {
+    return null;
+  }
+
+  // Track usage without holding up the request, moving bcrypt hashes over to SHA-256
+  prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: {
+      lastUsedAt: new Date(),
+      ...(apiKey.keyHash.startsWith('$2') && { keyHash: hashToken(secret) })
+    }
+  }).catch(err => console.error(`Error updating lastUsedAt for API key ${apiKey.id}:`, err));
+
+  return apiKey;
+}
+
+/**
+ * Check whether an API key grants a scope
+ * @param {Object} apiKey - API key record
+ * @param {string} scope - Required scope
+ * @returns {boolean}
+ */
+export function hasScope(apiKey, scope) {
+  if (apiKey.type === 'PUBLISHABLE' && !PUBLISHABLE_SCOPES.includes(scope)) {
+    return false;
+  }
+
+  return apiKey.scopes.length === 0 || apiKey.scopes.includes(scope);
+}
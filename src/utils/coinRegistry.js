@@ -0,0 +1,98 @@
+import { normalizeStructTag } from '@mysten/sui/utils';
+
+export const SUI_COIN_TYPE = '0x2::sui::SUI';
+
+// Coins SuiPay accepts for products and deposits. SUPPORTED_COINS can replace the
+// extra coins with a JSON array of { coinType, symbol, decimals, minDeposit }; SUI is always accepted.
+const DEFAULT_COINS = [
+  // Circle USDC on testnet, matching the network in suiClient.js
+  { coinType: '0xa1ec7fc00a6f40db9693ad1415d0c193ad3906494428cf252621037bd7117e29::usdc::USDC', symbol: 'USDC', decimals: 6 }
+];
+
+// SUI deposits pay their own gas, so any amount is accepted
+const SUI_COIN = { coinType: SUI_COIN_TYPE, symbol: 'SUI', decimals: 9, unit: 'MIST', minDeposit: '0' };
+
+// The server pays the gas of deposits in other coins, so smaller deposits than minDeposit
+// (smallest unit, one whole coin unless set) are left waiting for more
+const coins = [
+  SUI_COIN,
+  ...(process.env.SUPPORTED_COINS ? JSON.parse(process.env.SUPPORTED_COINS) : DEFAULT_COINS)
+    .map(coin => ({
+      ...coin,
+      unit: coin.symbol,
+      minDeposit: String(coin.minDeposit ?? 10n ** BigInt(coin.decimals))
+    }))
+];
+
+// The same coin type can be written with short or long addresses, with or without 0x
+const byNormalizedType = new Map(coins.map(coin => [normalizeStructTag(coin.coinType), coin]));
+
+/**
+ * List every accepted coin
+ * @returns {Object[]} - [{ coinType, symbol, decimals, unit, minDeposit }]
+ */
+export function listCoins() {
+  return coins;
+}
+
+/**
+ * Look up an accepted coin by its type, in any address format
+ * @param {string} coinType - Coin type, e.g. '0x2::sui::SUI', or a type name from a dynamic field
+ * @returns {Object|null} - { coinType, symbol, decimals, unit, minDeposit }, or null if the coin isn't accepted
+ */
+export function getCoin(coinType) {
+  try {
+    return byNormalizedType.get(normalizeStructTag(coinType)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check two coin types name the same coin, in whatever address format they were written
+ * @param {string} a - Coin type
+ * @param {string} b - Coin type
+ * @returns {boolean}
+ */
+export function sameCoinType(a, b) {
+  try {
+    return normalizeStructTag(a) === normalizeStructTag(b);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Format an amount in a coin's smallest unit as a decimal string, e.g. 1500000000 MIST as '1.5'
+ * @param {bigint|string|number} amount - Amount in the smallest unit
+ * @param {Object} coin - Coin from the registry
+ * @returns {string}
+ */
+export function formatCoinAmount(amount, coin) {
+  const value = BigInt(amount);
+  const scale = 10n ** BigInt(coin.decimals);
+  const fraction = (value % scale).toString().padStart(coin.decimals, '0').replace(/0+$/, '');
+
+  return fraction ? `${value / scale}.${fraction}` : (value / scale).toString();
+}
+
+/**
+ * Coin details added to webhook payloads. Amounts are always in the coin's smallest unit.
+ * @param {string} coinType - Coin type of the product
+ * @returns {Object} - { currency, coinType, symbol, decimals }
+ */
+export function webhookCoinFields(coinType) {
+  const coin = getCoin(coinType);
+
+  // A coin removed from the registry after the product was set up
+  if (!coin) {
+    return { currency: coinType, coinType, symbol: null, decimals: null };
+  }
+
+  return {
+    currency: coin.unit, // Kept for existing integrations, "MIST" for SUI
+    coinType: coin.coinType,
+    symbol: coin.symbol,
+    decimals: coin.decimals
+  };
+}
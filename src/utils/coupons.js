@@ -0,0 +1,121 @@
+import prisma from '../prismaClient.js';
+
+/**
+ * Format a coupon for responses (amounts as strings since they're BigInts)
+ * @param {Object} coupon - Coupon record
+ * @returns {Object}
+ */
+export const formatCoupon = (coupon) => ({
+  id: coupon.id,
+  code: coupon.code,
+  type: coupon.type,
+  percentOff: coupon.percentOff,
+  amountOff: coupon.amountOff === null ? null : coupon.amountOff.toString(),
+  coinType: coupon.coinType,
+  duration: coupon.duration,
+  durationCycles: coupon.durationCycles,
+  productIds: coupon.productIds,
+  maxRedemptions: coupon.maxRedemptions,
+  redemptionCount: coupon.redemptionCount,
+  expiresAt: coupon.expiresAt,
+  archivedAt: coupon.archivedAt,
+  createdAt: coupon.createdAt
+});
+
+/**
+ * Find a coupon code of the product's merchant and check it can be used on the product
+ * @param {Object} product - Product record
+ * @param {string} code - Coupon code entered by the buyer, if any
+ * @returns {Promise<Object>} - { success, reason } or { success, coupon }, coupon is null when no code was given
+ */
+export async function resolveCoupon(product, code) {
+  if (!code) {
+    return { success: true, coupon: null };
+  }
+
+  const coupon = await prisma.coupon.findUnique({
+    where: { merchantId_code: { merchantId: product.merchantId, code: code.toUpperCase() } }
+  });
+
+  if (!coupon || coupon.archivedAt) {
+    return { success: false, reason: 'Unknown coupon code' };
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt < new Date()) {
+    return { success: false, reason: 'This coupon has expired' };
+  }
+
+  if (coupon.productIds.length > 0 && !coupon.productIds.includes(product.id)) {
+    return { success: false, reason: 'This coupon does not apply to this product' };
+  }
+
+  // A fixed amount off is only meaningful in the coin it was set in
+  if (coupon.type === 'FIXED' && coupon.coinType !== product.coinType) {
+    return { success: false, reason: 'This coupon is for products priced in a different coin' };
+  }
+
+  if (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions) {
+    return { success: false, reason: 'This coupon has been fully redeemed' };
+  }
+
+  return { success: true, coupon };
+}
+
+/**
+ * Work out what a coupon takes off an amount
+ * @param {bigint} amount - Full price in the product coin's smallest unit
+ * @param {Object} coupon - Coupon record, or null
+ * @returns {Object} - { amount, discount }, amount being what is left to charge
+ */
+export function applyCoupon(amount, coupon) {
+  if (!coupon) {
+    return { amount, discount: 0n };
+  }
+
+  const discount = coupon.type === 'PERCENT'
+    ? amount * BigInt(coupon.percentOff) / 100n
+    : (coupon.amountOff < amount ? coupon.amountOff : amount);
+
+  return { amount: amount - discount, discount };
+}
+
+/**
+ * Count a redemption, unless the limit was reached in the meantime
+ * @param {Object} coupon - Coupon record
+ * @returns {Promise<boolean>} - Whether the redemption was counted
+ */
+export async function redeemCoupon(coupon) {
+  const redeemed = await prisma.coupon.updateMany({
+    where: {
+      id: coupon.id,
+      ...(coupon.maxRedemptions !== null && { redemptionCount: { lt: coupon.maxRedemptions } })
+    },
+    data: { redemptionCount: { increment: 1 } }
+  });
+
+  return redeemed.count > 0;
+}
+
+/**
+ * Give back a redemption that ended up unused
+ * @param {string} couponId - Coupon ID
+ */
+export async function releaseCoupon(couponId) {
+  await prisma.coupon.updateMany({
+    where: { id: couponId, redemptionCount: { gt: 0 } },
+    data: { redemptionCount: { decrement: 1 } }
+  });
+}
+
+/**
+ * Discounted renewals a subscription has left after its first discounted payment
+ * @param {Object} coupon - Coupon record
+ * @returns {number|null} - Renewals left, null when the coupon applies forever
+ */
+export function renewalCycles(coupon) {
+  if (coupon.duration === 'FOREVER') {
+    return null;
+  }
+
+  return coupon.duration === 'REPEATING' ? coupon.durationCycles - 1 : 0;
+}
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import prisma from '../prismaClient.js';
+import { hashToken } from './tokenUtils.js';
+
+// How long each kind of emailed token stays valid
+const TOKEN_TTL = {
+  VERIFY_EMAIL: 24 * 60 * 60 * 1000, // 24 hours
+  RESET_PASSWORD: 60 * 60 * 1000, // 1 hour
+  MEMBER_INVITE: 7 * 24 * 60 * 60 * 1000 // 7 days
+};
+
+/**
+ * Create a single-use token to be sent by email
+ * @param {string} ownerId - User or merchant ID
+ * @param {string} ownerType - 'USER', 'MERCHANT' or 'MEMBER'
+ * @param {string} purpose - 'VERIFY_EMAIL', 'RESET_PASSWORD' or 'MEMBER_INVITE'
+ * @returns {Promise<string>} - Plaintext token (only its hash is stored)
+ */
+export async function createEmailToken(ownerId, ownerType, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await prisma.emailToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      purpose,
+      ownerId,
+      ownerType,
+      expiresAt: new Date(Date.now() + TOKEN_TTL[purpose])
+    }
+  });
+
+  return token;
+}
+
+/**
+ * Redeem an emailed token. A token can only be redeemed once.
+ * @param {string} token - Plaintext token from the email link
+ * @param {string} ownerType - Account type the token must belong to
+ * @param {string} purpose - Expected token purpose
+ * @returns {Promise<Object|null>} - The token record, or null if invalid, expired or used
+ */
+export async function consumeEmailToken(token, ownerType, purpose) {
+  const stored = await prisma.emailToken.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!stored || stored.ownerType !== ownerType || stored.purpose !== purpose) {
+    return null;
+  }
+
+  const claimed = await prisma.emailToken.updateMany({
+    where: {
+      id: stored.id,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  return claimed.count === 1 ? stored : null;
+}
+
+/**
+ * Invalidate all outstanding tokens of one purpose for an account
+ * @param {string} ownerId - User or merchant ID
+ * @param {string} ownerType - 'USER', 'MERCHANT' or 'MEMBER'
+ * @param {string} purpose - Token purpose to invalidate
+ */
+export async function invalidateEmailTokens(ownerId, ownerType, purpose) {
+  await prisma.emailToken.updateMany({
+    where: { ownerId, ownerType, purpose, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+}
@@ -1,6 +1,6 @@
 import crypto from 'crypto';
 
- class Encrypter {
+ export class Encrypter {
     constructor(encryptionKey) {
       this.algorithm = "aes-192-cbc";
       this.key = crypto.scryptSync(encryptionKey, "salt", 24);
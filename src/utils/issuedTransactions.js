@@ -0,0 +1,61 @@
+import { TransactionDataBuilder } from '@mysten/sui/transactions';
+import { fromBase64 } from '@mysten/sui/utils';
+import prisma from '../prismaClient.js';
+
+// Object versions in built transactions go stale quickly, so issued bytes are short-lived
+const ISSUED_TRANSACTION_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Remember transaction bytes handed to an account for signing
+ * @param {string} digest - Transaction digest of the issued bytes
+ * @param {string} ownerId - Account the bytes were issued to
+ * @param {string} purpose - What the transaction is for, e.g. 'PRODUCT_CREATE'
+ * @returns {Promise<Date>} - When the issued bytes expire
+ */
+export async function recordIssuedTransaction(digest, ownerId, purpose) {
+  const expiresAt = new Date(Date.now() + ISSUED_TRANSACTION_TTL);
+
+  await prisma.issuedTransaction.create({
+    data: { digest, ownerId, purpose, expiresAt }
+  });
+
+  return expiresAt;
+}
+
+/**
+ * Check that signed bytes are exactly what the server issued, and mark them used
+ * @param {string} bytes - Base64 transaction bytes submitted by the client
+ * @param {string} ownerId - Account submitting the transaction
+ * @param {string|Object} purpose - Purpose the bytes must have been issued for, or a Prisma string filter like { startsWith }
+ * @returns {Promise<Object>} - { success, reason } or { success, purpose } with the purpose the bytes were issued for
+ */
+export async function claimIssuedTransaction(bytes, ownerId, purpose) {
+  let digest;
+  try {
+    digest = TransactionDataBuilder.getDigestFromBytes(fromBase64(bytes));
+  } catch (error) {
+    return { success: false, reason: 'Transaction bytes could not be decoded' };
+  }
+
+  const claimed = await prisma.issuedTransaction.updateMany({
+    where: {
+      digest,
+      ownerId,
+      purpose,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    return { success: false, reason: 'Transaction was not issued by this server, has expired or was already submitted' };
+  }
+
+  const issued = await prisma.issuedTransaction.findUnique({
+    where: { digest },
+    select: { purpose: true }
+  });
+
+  return { success: true, purpose: issued.purpose };
+}
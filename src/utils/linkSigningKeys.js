@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import prisma from '../prismaClient.js';
+import encryptor, { Encrypter } from './encryptor.js';
+
+// Key secrets are encrypted at rest with LINK_KEYS_SECRET rather than JWT_SECRET, so login
+// secrets can be rotated without breaking every payment link. Secrets stored before carry
+// no prefix and are moved over the first time they are read.
+const SECRET_PREFIX = 'v2:';
+
+let keyEncryptor = null;
+
+function getKeyEncryptor() {
+  if (!keyEncryptor) {
+    if (!process.env.LINK_KEYS_SECRET) {
+      throw new Error('LINK_KEYS_SECRET is not set');
+    }
+    keyEncryptor = new Encrypter(process.env.LINK_KEYS_SECRET);
+  }
+  return keyEncryptor;
+}
+
+const encryptSecret = (secret) => `${SECRET_PREFIX}${getKeyEncryptor().encrypt(secret)}`;
+
+async function decryptSecret(key) {
+  if (key.secret.startsWith(SECRET_PREFIX)) {
+    return getKeyEncryptor().dencrypt(key.secret.slice(SECRET_PREFIX.length));
+  }
+
+  const secret = encryptor.dencrypt(key.secret);
+  await prisma.linkSigningKey.update({
+    where: { id: key.id },
+    data: { secret: encryptSecret(secret) }
+  });
+  return secret;
+}
+
+// Every instance picks up a rotation within this time. Until then it keeps signing with
+// the retired key, whose tokens stay valid.
+const KEY_CACHE_TTL = 60 * 1000; // 1 minute
+
+const secrets = new Map(); // kid -> secret, keys never change once created
+let activeKey = null; // { id, secret, loadedAt }
+
+/**
+ * Create a signing key and make it the only active one
+ * @returns {Promise<Object>} - { id, retired } with the new key ID and the IDs it replaced
+ */
+export async function rotateLinkKeys() {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64');
+
+  const retired = await prisma.$transaction(async (tx) => {
+    const current = await tx.linkSigningKey.findMany({
+      where: { retiredAt: null },
+      select: { id: true }
+    });
+
+    await tx.linkSigningKey.updateMany({
+      where: { retiredAt: null },
+      data: { retiredAt: new Date() }
+    });
+
+    await tx.linkSigningKey.create({
+      data: { id, secret: encryptSecret(secret) }
+    });
+
+    return current.map(key => key.id);
+  });
+
+  activeKey = null;
+  return { id, retired };
+}
+
+/**
+ * Get the key new link tokens are signed with, creating the first one if needed
+ * @returns {Promise<Object>} - { id, secret }
+ */
+export async function getActiveLinkKey() {
+  if (activeKey && Date.now() - activeKey.loadedAt < KEY_CACHE_TTL) {
+    return activeKey;
+  }
+
+  let key = await prisma.linkSigningKey.findFirst({
+    where: { retiredAt: null },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!key) {
+    const { id } = await rotateLinkKeys();
+    key = await prisma.linkSigningKey.findUnique({ where: { id } });
+  }
+
+  activeKey = { id: key.id, secret: await decryptSecret(key), loadedAt: Date.now() };
+  secrets.set(activeKey.id, activeKey.secret);
+
+  return activeKey;
+}
+
+/**
+ * Get the secret of an active or retired key
+ * @param {string} id - Key ID from the token header
+ * @returns {Promise<string|null>} - Secret, or null if the key doesn't exist (anymore)
+ */
+export async function getLinkKeySecret(id) {
+  if (secrets.has(id)) {
+    return secrets.get(id);
+  }
+
+  const key = await prisma.linkSigningKey.findUnique({
+    where: { id }
+  });
+
+  if (!key) {
+    return null;
+  }
+
+  const secret = await decryptSecret(key);
+  secrets.set(id, secret);
+  return secret;
+}
+
+/**
+ * Delete retired keys no unrevoked, unexpired payment link was signed with
+ * @returns {Promise<string[]>} - IDs of the deleted keys
+ */
+export async function pruneRetiredLinkKeys() {
+  const now = new Date();
+  const retired = await prisma.linkSigningKey.findMany({
+    where: { retiredAt: { not: null } },
+    select: { id: true }
+  });
+
+  const deleted = [];
+  for (const key of retired) {
+    const inUse = await prisma.paymentLink.count({
+      where: {
+        keyId: key.id,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: now } }]
+      }
+    });
+
+    if (inUse === 0) {
+      await prisma.linkSigningKey.delete({ where: { id: key.id } });
+      secrets.delete(key.id);
+      deleted.push(key.id);
+    }
+  }
+
+  return deleted;
+}
@@ -0,0 +1,14 @@
+// Print each message to the console instead of sending it (local development)
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log('----- Outgoing email -----');
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log(message.text);
+      console.log('--------------------------');
+      return {};
+    }
+  };
+}
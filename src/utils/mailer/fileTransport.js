@@ -0,0 +1,25 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Write each message to a file instead of sending it (local development)
+export function createFileTransport(directory = process.env.MAIL_FILE_DIR || 'tmp/mail') {
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to}.txt`;
+      const filePath = path.join(directory, fileName);
+
+      await fs.writeFile(filePath, [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text
+      ].join('\n'));
+
+      return { filePath };
+    }
+  };
+}
@@ -0,0 +1,54 @@
+import { createSmtpTransport } from './smtpTransport.js';
+import { createFileTransport } from './fileTransport.js';
+import { createConsoleTransport } from './consoleTransport.js';
+
+// Available transports, selected with MAIL_TRANSPORT (defaults to console outside production)
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+// The console transport logs verification and password reset tokens, so production
+// refuses to start without a real transport rather than falling back to it
+const TRANSPORT_NAME = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+
+if (process.env.NODE_ENV === 'production' && (!TRANSPORT_NAME || TRANSPORT_NAME === 'console')) {
+  throw new Error('MAIL_TRANSPORT must be set to smtp or file in production');
+}
+
+const MAIL_FROM = process.env.MAIL_FROM || 'SuiPay <no-reply@suipay.com>';
+
+let transport;
+
+// Create the configured transport on first use
+function getTransport() {
+  if (!transport) {
+    const factory = transports[TRANSPORT_NAME];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${TRANSPORT_NAME}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+}
+
+/**
+ * Replace the active transport, e.g. with a custom provider
+ * @param {Object} customTransport - Object with a name and an async send(message) method
+ */
+export function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport specific delivery info
+ */
+export async function sendMail(message) {
+  return getTransport().send({ from: MAIL_FROM, ...message });
+}
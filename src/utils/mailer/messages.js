@@ -0,0 +1,43 @@
+const APP_URL = process.env.APP_URL || 'https://suipay.com';
+
+// Email asking the account owner to confirm their address
+export const verificationEmail = (to, token) => ({
+  to,
+  subject: 'Verify your SuiPay email address',
+  text: [
+    'Welcome to SuiPay!',
+    '',
+    'Please confirm your email address by opening the link below:',
+    `${APP_URL}/verify-email?token=${token}`,
+    '',
+    'This link expires in 24 hours.'
+  ].join('\n')
+});
+
+// Email with a single-use password reset link
+export const passwordResetEmail = (to, token) => ({
+  to,
+  subject: 'Reset your SuiPay password',
+  text: [
+    'We received a request to reset your SuiPay password.',
+    '',
+    'Open the link below to choose a new password:',
+    `${APP_URL}/reset-password?token=${token}`,
+    '',
+    'This link expires in 1 hour. If you did not request a reset you can ignore this email.'
+  ].join('\n')
+});
+
+// Invitation for a new merchant team member
+export const memberInviteEmail = (to, businessName, role, token) => ({
+  to,
+  subject: `You've been invited to ${businessName} on SuiPay`,
+  text: [
+    `You have been invited to join ${businessName} on SuiPay as ${role.replace('_', ' ').toLowerCase()}.`,
+    '',
+    'Open the link below to accept the invitation and choose a password:',
+    `${APP_URL}/accept-invite?token=${token}`,
+    '',
+    'This invitation expires in 7 days.'
+  ].join('\n')
+});
@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../prismaClient.js';
+import { getActiveLinkKey, getLinkKeySecret } from './linkSigningKeys.js';
+
+// How long a payment link can be paid with, unless the merchant picks another expiry
+export const LINK_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Link tokens are JWTs signed with a key from the keyring, named by their kid header
+const TOKEN_ALGORITHM = 'HS256';
+
+// Tokens from before signing were AES-256-CTR encrypted with a key derived from JWT_SECRET.
+// CTR tokens can be altered without the key, e.g. to push expires_at back, and every link
+// issued that way expired within a day, so they are refused unless LEGACY_LINK_TOKENS=true.
+const LEGACY_ALGORITHM = 'aes-256-ctr';
+const acceptLegacyTokens = process.env.LEGACY_LINK_TOKENS === 'true';
+
+/**
+ * Build the checkout URL of a payment link
+ * @param {string} token - Link token from signLinkToken
+ * @returns {string}
+ */
+export const paymentLinkUrl = (token) => `https://suipay.com/pay?pay=${token}`;
+
+/**
+ * Sign a payment link payload into a URL safe token
+ * @param {Object} payload - Link details, see /api/link/generate-link
+ * @returns {Promise<Object>} - { token, keyId }
+ */
+export async function signLinkToken(payload) {
+  const key = await getActiveLinkKey();
+  const token = jwt.sign(payload, key.secret, { algorithm: TOKEN_ALGORITHM, keyid: key.id, noTimestamp: true });
+
+  return { token, keyId: key.id };
+}
+
+/**
+ * Verify a payment link token. Only the server holds the keys, clients resolve
+ * tokens through /api/link/resolve/:token.
+ * @param {string} token - Token from the payment link
+ * @returns {Promise<Object|null>} - Link payload, or null if the token is invalid
+ */
+export async function verifyLinkToken(token) {
+  if (!token.includes('.')) {
+    return acceptLegacyTokens ? decryptLegacyLinkToken(token) : null;
+  }
+
+  try {
+    const decoded = jwt.decode(token, { complete: true });
+    const secret = decoded?.header?.kid && await getLinkKeySecret(decoded.header.kid);
+
+    if (!secret) {
+      return null;
+    }
+
+    const payload = jwt.verify(token, secret, { algorithms: [TOKEN_ALGORITHM] });
+    return typeof payload === 'object' && payload.product_id ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function decryptLegacyLinkToken(token) {
+  try {
+    const [ivHex, encryptedHex] = Buffer.from(token, 'base64url').toString().split(':');
+    const iv = Buffer.from(ivHex, 'hex');
+
+    if (iv.length !== 16 || !encryptedHex) {
+      return null;
+    }
+
+    const key = crypto.createHash('sha256').update(process.env.JWT_SECRET).digest();
+    const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, key, iv);
+    let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    const payload = JSON.parse(decrypted);
+    return payload && typeof payload === 'object' && payload.product_id ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Generate a short, URL safe payment link ID
+ * @returns {string} - 12 characters of base64url
+ */
+export function createLinkId() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+/**
+ * Format a payment link for responses
+ * @param {Object} link - PaymentLink record
+ * @returns {Object}
+ */
+export const formatLink = (link) => ({
+  id: link.id,
+  productId: link.productId,
+  ref_id: link.ref_id,
+  coupon: link.couponCode,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  status: linkStatus(link),
+  maxRedemptions: link.maxRedemptions,
+  redemptionCount: link.redemptionCount,
+  quantity: link.quantity,
+  amount: link.amount === null ? null : link.amount.toString(),
+  viewCount: link.viewCount,
+  paymentCount: link.paymentCount,
+  lastViewedAt: link.lastViewedAt,
+  lastPaidAt: link.lastPaidAt,
+  createdAt: link.createdAt
+});
+
+/**
+ * Whether a link can still be paid with
+ * @param {Object} link - PaymentLink record
+ * @returns {string} - 'ACTIVE', 'REVOKED', 'EXPIRED' or 'USED'
+ */
+export function linkStatus(link) {
+  if (link.revokedAt) {
+    return 'REVOKED';
+  }
+  if (link.expiresAt && link.expiresAt <= new Date()) {
+    return 'EXPIRED';
+  }
+  return link.maxRedemptions !== null && link.redemptionCount >= link.maxRedemptions ? 'USED' : 'ACTIVE';
+}
+
+// Prisma filter for links that are neither revoked nor expired
+export const unexpiredLinks = (now) => ({
+  revokedAt: null,
+  OR: [{ expiresAt: null }, { expiresAt: { gt: now } }]
+});
+
+/**
+ * Price a payment through a link, before any coupon
+ * @param {Object} link - PaymentLink record
+ * @param {bigint} price - Price the buyer would pay without the link
+ * @returns {bigint}
+ */
+export function linkAmount(link, price) {
+  if (link.amount !== null) {
+    return link.amount;
+  }
+  return link.quantity !== null ? price * BigInt(link.quantity) : price;
+}
+
+/**
+ * Hold a redemption of a link for a payment about to be executed. The limit is part of
+ * the update, so concurrent payers can't both take the last redemption.
+ * @param {string} linkId - Payment link ID
+ * @param {string} productId - Product being paid for
+ * @returns {Promise<Object>} - { success, reason, status } or { success, link }
+ */
+export async function claimLink(linkId, productId) {
+  const link = await prisma.paymentLink.findUnique({
+    where: { id: linkId }
+  });
+
+  if (!link || link.productId !== productId) {
+    return { success: false, reason: 'Payment link not found for this product', status: 404 };
+  }
+
+  const claimed = await prisma.paymentLink.updateMany({
+    where: {
+      id: linkId,
+      ...unexpiredLinks(new Date()),
+      ...(link.maxRedemptions !== null && { redemptionCount: { lt: link.maxRedemptions } })
+    },
+    data: { redemptionCount: { increment: 1 } }
+  });
+
+  if (claimed.count === 0) {
+    const status = linkStatus(link) === 'ACTIVE' ? 'USED' : linkStatus(link);
+    return { success: false, reason: `Payment link ${status.toLowerCase()}`, status: 410 };
+  }
+
+  return { success: true, link };
+}
+
+/**
+ * Hold a redemption of the link issued for a product and ref_id, for payments made without
+ * the link ID. Links are looked up here so their limits can't be skipped by leaving it out.
+ * @param {string} productId - Product being paid for
+ * @param {string} refId - ref_id the payment is made with
+ * @returns {Promise<Object>} - { success, reason, status } or { success, link }, link being null if no link was issued for them
+ */
+export async function claimLinkByRef(productId, refId) {
+  const links = await prisma.paymentLink.findMany({
+    where: { productId, ref_id: refId },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (links.length === 0) {
+    return { success: true, link: null };
+  }
+
+  // Several links can be issued for one ref_id, the newest that can still be paid is used
+  let failure = null;
+  for (const link of links) {
+    const result = await claimLink(link.id, productId);
+    if (result.success) {
+      return result;
+    }
+    failure = failure || result;
+  }
+
+  return failure;
+}
+
+/**
+ * Give back a redemption whose payment didn't go through
+ * @param {string} linkId - Payment link ID
+ */
+export async function releaseLink(linkId) {
+  await prisma.paymentLink.updateMany({
+    where: { id: linkId, redemptionCount: { gt: 0 } },
+    data: { redemptionCount: { decrement: 1 } }
+  });
+}
+
+/**
+ * Count a checkout page view of a link that can still be paid with
+ * @param {string} linkId - Payment link ID
+ * @returns {Promise<Object>} - { success, reason, status } or { success, link }
+ */
+export async function recordLinkView(linkId) {
+  const link = await prisma.paymentLink.findUnique({
+    where: { id: linkId }
+  });
+
+  if (!link) {
+    return { success: false, reason: 'Payment link not found', status: 404 };
+  }
+
+  const status = linkStatus(link);
+  if (status !== 'ACTIVE') {
+    return { success: false, reason: `Payment link ${status.toLowerCase()}`, status: 410 };
+  }
+
+  await prisma.paymentLink.update({
+    where: { id: linkId },
+    data: { viewCount: { increment: 1 }, lastViewedAt: new Date() }
+  });
+
+  return { success: true, link };
+}
+
+/**
+ * Count a completed payment against the link it was made through
+ * @param {string} linkId - Link claimed for the payment
+ */
+export async function recordLinkPayment(linkId) {
+  await prisma.paymentLink.update({
+    where: { id: linkId },
+    data: { paymentCount: { increment: 1 }, lastPaidAt: new Date() }
+  });
+}
@@ -0,0 +1,86 @@
+import prisma from '../prismaClient.js';
+import { fiatToMist, getSuiPrice } from './priceService.js';
+
+// Long enough to sign in a wallet, short enough that the SUI price barely moves
+const QUOTE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Format a quote for responses
+ * @param {Object} quote - PriceQuote record
+ * @returns {Object}
+ */
+export const formatQuote = (quote) => ({
+  id: quote.id,
+  productId: quote.productId,
+  amount: quote.amount.toString(),
+  fiatAmount: (quote.fiatAmount / 100).toFixed(2),
+  fiatCurrency: quote.fiatCurrency,
+  suiPrice: quote.suiPrice.toString(),
+  expiresAt: quote.expiresAt
+});
+
+/**
+ * Lock in the MIST amount of a fiat priced product at the current SUI price
+ * @param {Object} product - Product record with fiatAmount and fiatCurrency set
+ * @param {string} userId - Buyer the quote is issued to
+ * @param {Object} options - { used } marks the quote used right away, for renewals the server charges itself
+ * @returns {Promise<Object>} - PriceQuote record
+ */
+export async function createQuote(product, userId, { used = false } = {}) {
+  const { price } = await getSuiPrice(product.fiatCurrency);
+  const now = new Date();
+
+  return prisma.priceQuote.create({
+    data: {
+      productId: product.id,
+      userId,
+      fiatAmount: product.fiatAmount,
+      fiatCurrency: product.fiatCurrency,
+      suiPrice: String(price),
+      amount: fiatToMist(product.fiatAmount, price),
+      expiresAt: new Date(now.getTime() + QUOTE_TTL),
+      usedAt: used ? now : null
+    }
+  });
+}
+
+/**
+ * Mark a quote used so it can only pay for one checkout
+ * @param {string} quoteId - Quote returned to the buyer
+ * @param {string} userId - Buyer paying with it
+ * @param {string} productId - Product being paid for
+ * @returns {Promise<Object>} - { success, reason } or { success, quote }
+ */
+export async function claimQuote(quoteId, userId, productId) {
+  const claimed = await prisma.priceQuote.updateMany({
+    where: {
+      id: quoteId,
+      userId,
+      productId,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    return { success: false, reason: 'Price quote not found, expired or already used' };
+  }
+
+  const quote = await prisma.priceQuote.findUnique({
+    where: { id: quoteId }
+  });
+
+  return { success: true, quote };
+}
+
+/**
+ * Give back a claimed quote whose payment didn't go through, so it can be retried until it expires
+ * @param {string} quoteId - Quote ID
+ */
+export async function releaseQuote(quoteId) {
+  await prisma.priceQuote.updateMany({
+    where: { id: quoteId },
+    data: { usedAt: null }
+  });
+}
@@ -0,0 +1,77 @@
+import axios from 'axios';
+
+// Currencies fiat prices can be set in. All of them have two decimal places.
+export const FIAT_CURRENCIES = ['USD', 'EUR', 'GBP'];
+
+// CoinMarketCap rate limits are tight, so every caller shares one lookup per currency
+const CACHE_TTL = parseInt(process.env.PRICE_CACHE_SECONDS || '60', 10) * 1000;
+
+const cache = new Map(); // currency -> { fetchedAt, promise }
+
+async function fetchSuiPrice(currency) {
+  const response = await axios.get('https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest', {
+    headers: {
+      'X-CMC_PRO_API_KEY': process.env.CMC_API_KEY,
+    },
+    params: {
+      'symbol': 'SUI',
+      'convert': currency
+    }
+  });
+
+  const suiData = response.data.data.SUI;
+  const quote = suiData.quote[currency];
+
+  return {
+    symbol: 'SUI',
+    name: suiData.name,
+    currency,
+    price: quote.price,
+    percent_change_24h: quote.percent_change_24h,
+    market_cap: quote.market_cap,
+    volume_24h: quote.volume_24h,
+    last_updated: quote.last_updated
+  };
+}
+
+/**
+ * Get the current SUI price, cached for PRICE_CACHE_SECONDS
+ * @param {string} currency - Fiat currency code (default: 'USD')
+ * @returns {Promise<Object>} - { symbol, name, currency, price, percent_change_24h, market_cap, volume_24h, last_updated }
+ */
+export async function getSuiPrice(currency = 'USD') {
+  const cached = cache.get(currency);
+
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL) {
+    return cached.promise;
+  }
+
+  const promise = fetchSuiPrice(currency);
+  cache.set(currency, { fetchedAt: Date.now(), promise });
+
+  // Don't keep failed lookups around, the next caller should try again
+  promise.catch(() => {
+    if (cache.get(currency)?.promise === promise) {
+      cache.delete(currency);
+    }
+  });
+
+  return promise;
+}
+
+/**
+ * Convert a fiat amount to MIST, rounding up so the merchant is never paid short
+ * @param {number} fiatAmount - Amount in minor units, e.g. cents
+ * @param {number} suiPrice - Price of one SUI in the same currency
+ * @returns {bigint} - Amount in MIST
+ */
+export function fiatToMist(fiatAmount, suiPrice) {
+  // Work in integers: the price with 8 decimals, and 1 SUI = 10^9 MIST
+  const priceE8 = BigInt(Math.round(suiPrice * 1e8));
+  if (priceE8 <= 0n) {
+    throw new Error('Invalid SUI price');
+  }
+
+  const numerator = BigInt(fiatAmount) * 10n ** 15n; // cents / 100 * 10^9 MIST * 10^8
+  return (numerator + priceE8 - 1n) / priceE8;
+}
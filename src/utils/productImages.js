@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import { getStorage } from './storage/index.js';
+
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB
+export const MAX_PRODUCT_IMAGES = 10;
+
+// Accepted formats, recognised by their leading bytes rather than the client's content type.
+// SVG is deliberately not accepted since it can carry scripts.
+const IMAGE_SIGNATURES = [
+  { extension: 'png', matches: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { extension: 'jpg', matches: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { extension: 'gif', matches: (buf) => buf.subarray(0, 4).toString('ascii') === 'GIF8' },
+  { extension: 'webp', matches: (buf) => buf.subarray(0, 4).toString('ascii') === 'RIFF' && buf.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+/**
+ * Store an uploaded image under a key prefix
+ * @param {string} prefix - Storage key prefix, e.g. 'products/<id>'
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Promise<Object>} - { success, reason } or { success, url }
+ */
+export async function saveImage(prefix, buffer) {
+  const format = IMAGE_SIGNATURES.find(signature => signature.matches(buffer));
+
+  if (!format) {
+    return { success: false, reason: 'Image must be a PNG, JPEG, GIF or WebP file' };
+  }
+
+  const key = `${prefix}/${crypto.randomUUID()}.${format.extension}`;
+  const { url } = await getStorage().save(key, buffer);
+
+  return { success: true, url };
+}
+
+/**
+ * Store an uploaded product image
+ * @param {string} productId - Product the image belongs to
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Promise<Object>} - { success, reason } or { success, url }
+ */
+export function saveProductImage(productId, buffer) {
+  return saveImage(`products/${productId}`, buffer);
+}
+
+/**
+ * Store an uploaded merchant logo
+ * @param {string} merchantId - Merchant the logo belongs to
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Promise<Object>} - { success, reason } or { success, url }
+ */
+export function saveMerchantLogo(merchantId, buffer) {
+  return saveImage(`merchants/${merchantId}`, buffer);
+}
+
+/**
+ * Read back an image stored here
+ * @param {string} url - Image URL returned by saveImage
+ * @returns {Promise<Buffer|null>} - Image contents, or null if the URL points elsewhere
+ */
+export async function readImage(url) {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+
+  return key ? storage.read(key) : null;
+}
+
+/**
+ * Delete a stored image. URLs that point elsewhere, or outside the prefix, are ignored.
+ * @param {string} url - Image URL returned by saveImage
+ * @param {string} prefix - Key prefix the image was saved under, e.g. 'products/<id>'
+ */
+export async function removeImage(url, prefix) {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+
+  // Image URLs can be copied between products, only delete files that belong to this one
+  if (key && key.startsWith(`${prefix}/`)) {
+    await storage.remove(key);
+  }
+}
@@ -0,0 +1,54 @@
+import prisma from '../prismaClient.js';
+
+/**
+ * Format a plan for responses (amount as a string since it's a BigInt)
+ * @param {Object} plan - ProductPlan record
+ * @returns {Object}
+ */
+export const formatPlan = (plan) => ({
+  id: plan.id,
+  productId: plan.productId,
+  name: plan.name,
+  amount: plan.amount.toString(),
+  recurringPeriod: Number(plan.recurringPeriod),
+  archivedAt: plan.archivedAt,
+  createdAt: plan.createdAt
+});
+
+/**
+ * Find the plan a buyer chose for a product
+ * @param {Object} product - Product record
+ * @param {string} planId - Chosen plan, if any
+ * @returns {Promise<Object>} - { success, reason } or { success, plan }, plan is null when none was chosen
+ */
+export async function resolvePlan(product, planId) {
+  if (!planId) {
+    return { success: true, plan: null };
+  }
+
+  const plan = await prisma.productPlan.findUnique({
+    where: { id: planId }
+  });
+
+  if (!plan || plan.productId !== product.id) {
+    return { success: false, reason: 'Plan not found for this product' };
+  }
+
+  if (plan.archivedAt) {
+    return { success: false, reason: 'This plan is no longer offered' };
+  }
+
+  return { success: true, plan };
+}
+
+/**
+ * Amount and billing period of a subscription, from its plan or else the product itself
+ * @param {Object} product - Product record
+ * @param {Object} plan - ProductPlan record, or null
+ * @returns {Object} - { amount, recurringPeriod } with amount in the smallest unit of the product's coin and period in milliseconds
+ */
+export function billingTerms(product, plan) {
+  return plan
+    ? { amount: plan.amount, recurringPeriod: Number(plan.recurringPeriod) }
+    : { amount: product.price, recurringPeriod: product.recurringPeriod };
+}
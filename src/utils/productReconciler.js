@@ -0,0 +1,208 @@
+import prisma from '../prismaClient.js';
+import { sui } from './suiClient.js';
+import { PackageId } from './packageUtils.js';
+import { PRODUCT_CREATION_EVENT, productFromCreationEvent, productStateFromObject } from './productTransactions.js';
+
+const CURSOR_ID = 'product-creation';
+const PAGE_SIZE = 50; // Also the most objects multiGetObjects accepts at once
+const DEFAULT_MAX_PAGES = 100;
+
+// Fields fixed at creation. Name and price change through ProductUpdateEvent, so
+// they are expected to differ from the creation event and aren't compared.
+const IMMUTABLE_FIELDS = ['merchantId', 'productType', 'recurringPeriod', 'subscribersRegistry'];
+
+let running = false;
+
+/**
+ * Load the saved event cursor
+ * @returns {Promise<Object|null>} - { txDigest, eventSeq }, or null to start from the first event
+ */
+async function loadCursor() {
+  const cursor = await prisma.indexerCursor.findUnique({
+    where: { id: CURSOR_ID }
+  });
+
+  return cursor ? { txDigest: cursor.txDigest, eventSeq: cursor.eventSeq } : null;
+}
+
+async function saveCursor({ txDigest, eventSeq }) {
+  await prisma.indexerCursor.upsert({
+    where: { id: CURSOR_ID },
+    create: { id: CURSOR_ID, txDigest, eventSeq },
+    update: { txDigest, eventSeq }
+  });
+}
+
+/**
+ * Compare one page of creation events with the database
+ * @param {Object[]} events - Sui events from queryEvents
+ * @param {Object} report - Report to add results to
+ */
+async function reconcileEvents(events, report) {
+  const chainProducts = events
+    .filter(event => event.parsedJson)
+    .map(event => ({ ...productFromCreationEvent(event.parsedJson), createdAt: new Date(Number(event.timestampMs)) }));
+
+  const ids = chainProducts.map(product => product.id);
+  const owners = [...new Set(chainProducts.map(product => product.merchantId))];
+
+  const [existing, merchants] = await Promise.all([
+    prisma.product.findMany({ where: { id: { in: ids } } }),
+    prisma.merchant.findMany({ where: { id: { in: owners } }, select: { id: true } })
+  ]);
+
+  const existingById = new Map(existing.map(product => [product.id, product]));
+  const knownMerchants = new Set(merchants.map(merchant => merchant.id));
+
+  // Products may have been renamed, repriced or archived since they were created, so
+  // backfilled rows take those fields from the object as it is now
+  const missing = chainProducts.filter(product => !existingById.has(product.id) && knownMerchants.has(product.merchantId));
+  const objects = missing.length > 0
+    ? await sui.multiGetObjects({ ids: missing.map(product => product.id), options: { showContent: true } })
+    : [];
+  const stateById = new Map(missing.map((product, index) => [product.id, productStateFromObject(objects[index])]));
+
+  for (const chainProduct of chainProducts) {
+    const stored = existingById.get(chainProduct.id);
+
+    if (stored) {
+      const fields = IMMUTABLE_FIELDS
+        .filter(field => stored[field] !== chainProduct[field])
+        .map(field => ({ field, chain: chainProduct[field], database: stored[field] }));
+
+      if (fields.length > 0) {
+        report.mismatched.push({ productId: chainProduct.id, fields });
+      }
+      continue;
+    }
+
+    // Products of wallets that never signed up have nobody to belong to
+    if (!knownMerchants.has(chainProduct.merchantId)) {
+      report.orphaned.push({ productId: chainProduct.id, owner: chainProduct.merchantId, reason: 'Unknown merchant' });
+      continue;
+    }
+
+    const state = stateById.get(chainProduct.id);
+    if (!state) {
+      report.orphaned.push({ productId: chainProduct.id, owner: chainProduct.merchantId, reason: 'Object not readable on-chain' });
+      continue;
+    }
+
+    // /createProduct may insert the same product concurrently
+    const created = await prisma.product.createMany({
+      data: [{
+        ...chainProduct,
+        name: state.name,
+        price: state.price,
+        archivedAt: state.archived ? new Date() : null
+      }],
+      skipDuplicates: true
+    });
+
+    if (created.count > 0) {
+      report.backfilled.push(chainProduct.id);
+    }
+  }
+}
+
+/**
+ * Find database products whose object doesn't exist on-chain
+ * @param {Object} report - Report to add results to
+ */
+async function findMissingOnChain(report) {
+  let cursor;
+
+  while (true) {
+    const products = await prisma.product.findMany({
+      select: { id: true, merchantId: true },
+      orderBy: { id: 'asc' },
+      take: PAGE_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    if (products.length === 0) {
+      return;
+    }
+
+    const objects = await sui.multiGetObjects({ ids: products.map(product => product.id) });
+
+    objects.forEach((object, index) => {
+      if (object.error) {
+        report.orphaned.push({
+          productId: products[index].id,
+          owner: products[index].merchantId,
+          reason: `Not found on-chain (${object.error.code})`
+        });
+      }
+    });
+
+    cursor = products[products.length - 1].id;
+  }
+}
+
+/**
+ * Page through ProductCreationEvent events from the saved cursor, backfill products
+ * missing from the database and report orphaned or mismatched ones. Only one run
+ * may be in progress per process.
+ * @param {Object} options - { maxPages, reset, checkDatabase }. reset starts again from the
+ *   first event, checkDatabase also looks up every stored product on-chain
+ * @returns {Promise<Object>} - { success, reason } or { success, report }
+ */
+export async function reconcileProducts({ maxPages = DEFAULT_MAX_PAGES, reset = false, checkDatabase = false } = {}) {
+  if (running) {
+    return { success: false, reason: 'A reconciliation run is already in progress' };
+  }
+  running = true;
+
+  const report = {
+    startedAt: new Date(),
+    pages: 0,
+    eventsScanned: 0,
+    hasMore: false,
+    backfilled: [],
+    orphaned: [],
+    mismatched: []
+  };
+
+  try {
+    let cursor = reset ? null : await loadCursor();
+
+    while (report.pages < maxPages) {
+      const page = await sui.queryEvents({
+        query: { MoveEventType: `${PackageId}${PRODUCT_CREATION_EVENT}` },
+        cursor,
+        limit: PAGE_SIZE,
+        order: 'ascending'
+      });
+
+      report.pages++;
+      report.eventsScanned += page.data.length;
+
+      await reconcileEvents(page.data, report);
+
+      // Save progress after every page so a failed run resumes where it stopped
+      if (page.nextCursor) {
+        cursor = page.nextCursor;
+        await saveCursor(cursor);
+      }
+
+      report.hasMore = page.hasNextPage;
+      if (!page.hasNextPage) {
+        break;
+      }
+    }
+
+    if (checkDatabase) {
+      await findMissingOnChain(report);
+    }
+
+    report.cursor = cursor;
+    report.finishedAt = new Date();
+
+    console.log(`Product reconciliation scanned ${report.eventsScanned} events: ${report.backfilled.length} backfilled, ${report.orphaned.length} orphaned, ${report.mismatched.length} mismatched`);
+
+    return { success: true, report };
+  } finally {
+    running = false;
+  }
+}
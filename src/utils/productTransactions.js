@@ -0,0 +1,158 @@
+import { Transaction, TransactionDataBuilder } from '@mysten/sui/transactions';
+import { toBase64 } from '@mysten/sui/utils';
+import { sui } from './suiClient.js';
+import { PackageId, ProductRegistry } from './packageUtils.js';
+import { getMoveFunction } from './suiUtils.js';
+
+// Emitted once per product by createOneTimeProduct and createSubscriptionProduct
+export const PRODUCT_CREATION_EVENT = '::product::ProductCreationEvent';
+
+// Every product change emits a ProductUpdateEvent { productId, owner, name, price, archived }
+export const PRODUCT_UPDATE_EVENT = '::product::ProductUpdateEvent';
+
+/**
+ * Map a ProductCreationEvent to the fields of a Product row
+ * @param {Object} event - parsedJson of the event
+ * @returns {Object} - Product data, with merchantId set to the on-chain owner
+ */
+export function productFromCreationEvent(event) {
+  return {
+    id: event.productId,
+    name: event.name,
+    price: BigInt(event.price),
+    productType: event.productType === 'OneTime' ? 'ONETIME' : 'SUBSCRIPTION',
+    recurringPeriod: parseInt(event.recurringPeriod || '0'),
+    subscribersRegistry: event.subscribersRegistry,
+    merchantId: event.owner
+  };
+}
+
+/**
+ * Read the fields of a product that change after creation from its on-chain object.
+ * The object carries them under the same names as ProductUpdateEvent.
+ * @param {Object} object - Response of getObject or multiGetObjects with showContent
+ * @returns {Object|null} - { name, price, archived }, or null if the object can't be read
+ */
+export function productStateFromObject(object) {
+  const fields = object?.data?.content?.fields;
+
+  if (!fields) {
+    return null;
+  }
+
+  return {
+    name: fields.name,
+    price: BigInt(fields.price),
+    archived: Boolean(fields.archived)
+  };
+}
+
+/**
+ * Check the deployed package has a product function before building a transaction that calls
+ * it. Updating and archiving products came after the first version of the contract.
+ * @param {string} name - Function of the product module, e.g. 'updateProduct'
+ * @returns {Promise<string|null>} - Why the transaction can't be built, or null if the function exists
+ */
+export async function missingProductFunction(name) {
+  return await getMoveFunction('product', name) ? null : `The deployed contract has no product::${name}`;
+}
+
+/**
+ * Build an unsigned transaction for the merchant wallet to sign. The transaction is
+ * dry run first so it fails here, not in the wallet, and the gas cost can be shown.
+ * @param {string} sender - Merchant Sui address that will sign and pay gas
+ * @param {Function} addCalls - Adds the move calls to the transaction
+ * @returns {Promise<Object>} - { bytes, digest, gas } with base64 bytes and gas amounts in MIST
+ */
+async function buildForSender(sender, addCalls) {
+  const tx = new Transaction();
+  addCalls(tx);
+  tx.setSender(sender);
+
+  // Building with a client resolves object versions, gas coins and the gas budget
+  const bytes = await tx.build({ client: sui });
+
+  const dryRun = await sui.dryRunTransactionBlock({ transactionBlock: bytes });
+  if (dryRun.effects.status.status !== 'success') {
+    throw new Error(`Transaction dry run failed: ${dryRun.effects.status.error}`);
+  }
+
+  const { computationCost, storageCost, storageRebate } = dryRun.effects.gasUsed;
+  const budget = TransactionDataBuilder.fromBytes(bytes).gasData.budget;
+
+  return {
+    bytes: toBase64(bytes),
+    digest: TransactionDataBuilder.getDigestFromBytes(bytes),
+    gas: {
+      budget: String(budget),
+      estimated: (BigInt(computationCost) + BigInt(storageCost) - BigInt(storageRebate)).toString()
+    }
+  };
+}
+
+/**
+ * Build a transaction that creates a product in the product registry
+ * @param {string} sender - Merchant Sui address
+ * @param {Object} product - { name, price, productType, recurringPeriod }, period in milliseconds
+ * @returns {Promise<Object>} - { bytes, digest, gas }
+ */
+export function buildProductCreateTx(sender, { name, price, productType, recurringPeriod }) {
+  return buildForSender(sender, (tx) => {
+    if (productType === 'SUBSCRIPTION') {
+      tx.moveCall({
+        target: `${PackageId}::product::createSubscriptionProduct`,
+        arguments: [
+          tx.pure.string(name),
+          tx.pure.u64(price),
+          tx.pure.u64(recurringPeriod),
+          tx.object(ProductRegistry)
+        ]
+      });
+    } else {
+      tx.moveCall({
+        target: `${PackageId}::product::createOneTimeProduct`,
+        arguments: [
+          tx.pure.string(name),
+          tx.pure.u64(price),
+          tx.object(ProductRegistry)
+        ]
+      });
+    }
+  });
+}
+
+/**
+ * Build a transaction that renames a product and/or changes its price
+ * @param {string} sender - Merchant Sui address
+ * @param {Object} product - Product record
+ * @param {Object} changes - { name, price }, omitted fields keep their current value
+ * @returns {Promise<Object>} - { bytes, digest, gas }
+ */
+export function buildProductUpdateTx(sender, product, { name, price }) {
+  return buildForSender(sender, (tx) => {
+    tx.moveCall({
+      target: `${PackageId}::product::updateProduct`,
+      arguments: [
+        tx.object(product.id),
+        tx.pure.string(name ?? product.name),
+        tx.pure.u64(price ?? product.price)
+      ]
+    });
+  });
+}
+
+/**
+ * Build a transaction that stops (or resumes) selling a product
+ * @param {string} sender - Merchant Sui address
+ * @param {Object} product - Product record
+ * @param {boolean} archived - true to archive, false to unarchive
+ * @returns {Promise<Object>} - { bytes, digest, gas }
+ */
+export function buildProductArchiveTx(sender, product, archived) {
+  return buildForSender(sender, (tx) => {
+    tx.moveCall({
+      target: `${PackageId}::product::${archived ? 'archiveProduct' : 'unarchiveProduct'}`,
+      arguments: [tx.object(product.id)]
+    });
+  });
+}
@@ -0,0 +1,30 @@
+import { getCoin } from './coinRegistry.js';
+
+/**
+ * Format a product for responses (price as a string since it's a BigInt)
+ * @param {Object} product - Product record
+ * @returns {Object}
+ */
+export const formatProduct = (product) => ({
+  id: product.id,
+  name: product.name,
+  price: product.price.toString(),
+  coinType: product.coinType,
+  decimals: getCoin(product.coinType)?.decimals ?? null,
+  productType: product.productType,
+  recurringPeriod: product.recurringPeriod,
+  subscribersRegistry: product.subscribersRegistry,
+  archived: product.archivedAt !== null,
+  archivedAt: product.archivedAt,
+  trialDays: product.trialDays,
+  fiatPrice: product.fiatAmount !== null
+    ? { amount: (product.fiatAmount / 100).toFixed(2), currency: product.fiatCurrency }
+    : null,
+  description: product.description,
+  imageUrls: product.imageUrls,
+  supportUrl: product.supportUrl,
+  statementDescriptor: product.statementDescriptor,
+  metadata: product.metadata,
+  merchantId: product.merchantId,
+  createdAt: product.createdAt
+});
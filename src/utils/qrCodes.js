@@ -0,0 +1,65 @@
+import QRCode from 'qrcode';
+import sharp from 'sharp';
+
+// Share of the code's width the logo may cover. With error correction H about 30% of
+// the modules can be lost, so a centered square of this size still scans.
+const LOGO_SCALE = 0.22;
+
+/**
+ * Render a QR code
+ * @param {string} text - Content to encode
+ * @param {Object} options - { format: 'png'|'svg', size in pixels, margin in modules,
+ *   errorCorrection: 'L'|'M'|'Q'|'H', logo: image Buffer to center on the code, or null }
+ * @returns {Promise<Object>} - { body, contentType }
+ */
+export async function renderQrCode(text, { format, size, margin, errorCorrection, logo = null }) {
+  const qrOptions = { width: size, margin, errorCorrectionLevel: errorCorrection };
+
+  if (format === 'svg') {
+    let svg = await QRCode.toString(text, { ...qrOptions, type: 'svg' });
+
+    if (logo) {
+      // The SVG is drawn in module units, read them from its viewBox
+      const units = Number(svg.match(/viewBox="0 0 (\d+) \d+"/)[1]);
+      svg = svg.replace('</svg>', `${await svgLogo(logo, units)}</svg>`);
+    }
+
+    return { body: svg, contentType: 'image/svg+xml' };
+  }
+
+  const png = await QRCode.toBuffer(text, { ...qrOptions, type: 'png' });
+  if (!logo) {
+    return { body: png, contentType: 'image/png' };
+  }
+
+  const { width } = await sharp(png).metadata();
+  const logoSize = Math.round(width * LOGO_SCALE);
+
+  const body = await sharp(png)
+    .composite([{ input: await logoTile(logo, logoSize), gravity: 'centre' }])
+    .png()
+    .toBuffer();
+
+  return { body, contentType: 'image/png' };
+}
+
+// The logo on a white square with a small border, so it stands apart from the modules
+async function logoTile(logo, size) {
+  const padding = Math.max(1, Math.round(size * 0.08));
+
+  return sharp(logo)
+    .resize(size - padding * 2, size - padding * 2, { fit: 'contain', background: '#ffffff' })
+    .flatten({ background: '#ffffff' })
+    .extend({ top: padding, bottom: padding, left: padding, right: padding, background: '#ffffff' })
+    .png()
+    .toBuffer();
+}
+
+// Uploaded logos are re-encoded as PNG before being embedded, never copied into the SVG as is
+async function svgLogo(logo, units) {
+  const size = units * LOGO_SCALE;
+  const offset = (units - size) / 2;
+  const tile = await logoTile(logo, 256);
+
+  return `<image x="${offset}" y="${offset}" width="${size}" height="${size}" href="data:image/png;base64,${tile.toString('base64')}"/>`;
+}
@@ -0,0 +1,71 @@
+import { createMemoryStore } from './memoryStore.js';
+import { createPostgresStore } from './postgresStore.js';
+
+// Available stores, selected with RATE_LIMIT_STORE (defaults to memory)
+const stores = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore
+};
+
+let store;
+
+// Create the configured store on first use
+function getStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = stores[name];
+
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+
+    store = factory();
+  }
+
+  return store;
+}
+
+/**
+ * Replace the active store, e.g. with a Redis backed one
+ * @param {Object} customStore - Object with a name and async increment, get, set and reset methods
+ */
+export function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Count a hit against a fixed-window bucket, starting a new window if the last one ended
+ * @param {string} key - Bucket key
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} - { count, resetAt }
+ */
+export async function hit(key, windowMs) {
+  return getStore().increment(key, windowMs);
+}
+
+/**
+ * Read a bucket without counting a hit
+ * @param {string} key - Bucket key
+ * @returns {Promise<Object|null>} - { count, resetAt }, or null if there is no active window
+ */
+export async function peek(key) {
+  return getStore().get(key);
+}
+
+/**
+ * Overwrite a bucket, e.g. to extend a lockout
+ * @param {string} key - Bucket key
+ * @param {number} count - New count
+ * @param {Date} resetAt - When the bucket expires
+ */
+export async function setBucket(key, count, resetAt) {
+  return getStore().set(key, count, resetAt);
+}
+
+/**
+ * Remove a bucket
+ * @param {string} key - Bucket key
+ */
+export async function clearBucket(key) {
+  return getStore().reset(key);
+}
@@ -0,0 +1,48 @@
+const SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+// Keep buckets in process memory. Counts are per instance and lost on restart.
+export function createMemoryStore() {
+  const buckets = new Map();
+
+  // Drop expired buckets so the map doesn't grow without bound
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) {
+        buckets.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL);
+  sweeper.unref();
+
+  const get = (key) => {
+    const bucket = buckets.get(key);
+    if (!bucket || bucket.resetAt <= Date.now()) {
+      return null;
+    }
+    return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+  };
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+
+      bucket.count += 1;
+      return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+    },
+    get: async (key) => get(key),
+    set: async (key, count, resetAt) => {
+      buckets.set(key, { count, resetAt: resetAt.getTime() });
+    },
+    reset: async (key) => {
+      buckets.delete(key);
+    }
+  };
+}
@@ -0,0 +1,55 @@
+import prisma from '../../prismaClient.js';
+
+const SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+// Keep buckets in the rate_limit_buckets table so every instance shares the same counts
+export function createPostgresStore() {
+  // Expired rows are ignored on read, clean them up in the background
+  const sweeper = setInterval(() => {
+    prisma.rateLimitBucket.deleteMany({
+      where: { resetAt: { lte: new Date() } }
+    }).catch(err => console.error('Error cleaning up rate limit buckets:', err));
+  }, SWEEP_INTERVAL);
+  sweeper.unref();
+
+  return {
+    name: 'postgres',
+    increment: async (key, windowMs) => {
+      const now = new Date();
+      const resetAt = new Date(now.getTime() + windowMs);
+
+      // Single statement so concurrent requests can't lose increments
+      const [bucket] = await prisma.$queryRaw`
+        INSERT INTO "rate_limit_buckets" ("key", "count", "resetAt")
+        VALUES (${key}, 1, ${resetAt})
+        ON CONFLICT ("key") DO UPDATE SET
+          "count" = CASE WHEN "rate_limit_buckets"."resetAt" <= ${now} THEN 1 ELSE "rate_limit_buckets"."count" + 1 END,
+          "resetAt" = CASE WHEN "rate_limit_buckets"."resetAt" <= ${now} THEN EXCLUDED."resetAt" ELSE "rate_limit_buckets"."resetAt" END
+        RETURNING "count", "resetAt"`;
+
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+    get: async (key) => {
+      const bucket = await prisma.rateLimitBucket.findUnique({
+        where: { key }
+      });
+
+      if (!bucket || bucket.resetAt <= new Date()) {
+        return null;
+      }
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+    set: async (key, count, resetAt) => {
+      await prisma.rateLimitBucket.upsert({
+        where: { key },
+        create: { key, count, resetAt },
+        update: { count, resetAt }
+      });
+    },
+    reset: async (key) => {
+      await prisma.rateLimitBucket.deleteMany({
+        where: { key }
+      });
+    }
+  };
+}
@@ -0,0 +1,35 @@
+import { createLocalStorage } from './localStorage.js';
+
+// Available storage drivers, selected with STORAGE_DRIVER (defaults to local)
+const drivers = {
+  local: createLocalStorage
+};
+
+let storage;
+
+/**
+ * Get the configured storage, created on first use
+ * @returns {Object} - Storage with a name and async save(key, buffer), read(key), remove(key) and keyFromUrl(url) methods
+ */
+export function getStorage() {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers[name];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    storage = factory();
+  }
+
+  return storage;
+}
+
+/**
+ * Replace the active storage, e.g. with an S3 backed one
+ * @param {Object} customStorage - Object implementing the storage methods
+ */
+export function setStorage(customStorage) {
+  storage = customStorage;
+}
@@ -0,0 +1,58 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Keep uploads on local disk, served by express.static under publicUrl (see server.js)
+export function createLocalStorage(
+  directory = process.env.STORAGE_LOCAL_DIR || 'uploads',
+  publicUrl = process.env.STORAGE_PUBLIC_URL || '/uploads'
+) {
+  const root = path.resolve(directory);
+
+  // Path of a key's file, null if the key would leave the storage directory
+  const filePathOf = (key) => {
+    const filePath = path.resolve(root, key);
+    return filePath.startsWith(`${root}${path.sep}`) ? filePath : null;
+  };
+
+  const resolveKey = (key) => {
+    const filePath = filePathOf(key);
+    if (!filePath) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory,
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return { key, url: `${publicUrl}/${key}` };
+    },
+    read: async (key) => {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+    // Map a URL returned by save() back to its key, null if it isn't ours
+    keyFromUrl: (url) => {
+      if (!url.startsWith(`${publicUrl}/`)) {
+        return null;
+      }
+
+      const key = url.slice(publicUrl.length + 1);
+      return filePathOf(key) ? key : null;
+    }
+  };
+}
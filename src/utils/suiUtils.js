@@ -1,5 +1,10 @@
 import { sui } from './suiClient.js';
+import { PackageId } from './packageUtils.js';
 import { setTimeout } from 'timers/promises';
+import { normalizeStructTag, parseStructTag } from '@mysten/sui/utils';
+import { SUI_COIN_TYPE } from './coinRegistry.js';
+
+const moveFunctions = new Map(); // 'module::function' -> Promise of the normalized function or null
 
 /**
  * Query Sui events with automatic retry and exponential backoff
@@ -46,4 +51,55 @@ export async function queryEventsWithRetry(digest, maxRetries = 5, initialDelay
       }
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Look up a function of the deployed SuiPay package. Functions added to the contract after
+ * the package was published don't exist on-chain, so callers check before relying on them.
+ * @param {string} module - Move module, e.g. 'payment'
+ * @param {string} name - Function name
+ * @returns {Promise<Object|null>} - Normalized function ({ parameters, typeParameters, ... }), or null if the package has no such function
+ */
+export async function getMoveFunction(module, name) {
+  const key = `${module}::${name}`;
+
+  if (!moveFunctions.has(key)) {
+    const lookup = sui.getNormalizedMoveFunction({ package: PackageId, module, function: name })
+      .catch(error => {
+        // Only a missing function is remembered, a failed lookup is tried again next time
+        if (!/not found|No function|No module/i.test(error.message || '')) {
+          moveFunctions.delete(key);
+          throw error;
+        }
+        return null;
+      });
+    moveFunctions.set(key, lookup);
+  }
+
+  return moveFunctions.get(key);
+}
+
+/**
+ * Read the coin a payment event was emitted for. Events of the generic payment functions
+ * carry the coin type as their type argument, those of the SUI-only functions have none.
+ * @param {Object} event - Event with its full type, e.g. '0x..::payment::PaymentReceiptEvent<0x..::usdc::USDC>'
+ * @returns {string} - Normalized coin type
+ */
+export function eventCoinType(event) {
+  const { typeParams } = parseStructTag(event.type);
+  return normalizeStructTag(typeParams.length > 0 ? typeParams[0] : SUI_COIN_TYPE);
+}
+
+/**
+ * Find the balance changes of a transaction that pay anyone other than the given address.
+ * Gas goes to the network and never shows up as a payment to someone.
+ * @param {Object} response - Dry run or executed transaction, with balanceChanges
+ * @param {string} address - Address whose own balance changes are ignored
+ * @returns {Object[]} - Balance changes crediting other owners
+ */
+export function paymentsToOthers(response, address) {
+  return (response.balanceChanges || []).filter(change => {
+    const owner = change.owner?.AddressOwner ?? change.owner?.ObjectOwner ?? null;
+    return BigInt(change.amount) > 0n && owner !== address;
+  });
+}
@@ -0,0 +1,223 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../prismaClient.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Opaque tokens are only ever stored as a SHA-256 hash
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token for a user or merchant
+ * @param {string} id - User or merchant ID (Sui address)
+ * @param {string} type - 'USER' or 'MERCHANT'
+ * @param {string} sessionId - Session the token belongs to, checked by authMiddleware
+ * @param {Object} member - Merchant team member acting for the merchant, if any
+ * @returns {string} - Signed JWT
+ */
+export function signAccessToken(id, type, sessionId, member = null) {
+  const payload = member
+    ? { id, type, sid: sessionId, memberId: member.id, role: member.role }
+    : { id, type, sid: sessionId };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Sign a short-lived token proving the first login factor was passed.
+ * Its type is not accepted by authMiddleware, so it can't be used as an access token.
+ * @param {string} id - Merchant ID
+ * @returns {string} - Signed JWT
+ */
+export function signMfaToken(id) {
+  return jwt.sign({ id, type: 'MFA_PENDING' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+}
+
+/**
+ * Verify a token from signMfaToken
+ * @param {string} token - Token returned by the first login step
+ * @returns {string|null} - Merchant ID, or null if invalid or expired
+ */
+export function verifyMfaToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'MFA_PENDING' ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Issue an access token together with a new refresh token. Each login starts a
+ * session whose ID doubles as the refresh token family.
+ * @param {string} ownerId - User or merchant ID
+ * @param {string} ownerType - 'USER' or 'MERCHANT'
+ * @param {Object} options - { familyId, member, req }. A new session is started when familyId is omitted,
+ *   using req for the IP address and user agent. member is the merchant team member logging in on
+ *   behalf of the merchant
+ * @returns {Promise<Object>} - { accessToken, refreshToken }
+ */
+export async function issueTokens(ownerId, ownerType, { familyId = null, member = null, req = null } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+
+  if (familyId) {
+    await prisma.session.update({
+      where: { id: familyId },
+      data: {
+        lastUsedAt: new Date(),
+        expiresAt,
+        ...(req && { ipAddress: req.ip, userAgent: req.headers['user-agent'] })
+      }
+    });
+  } else {
+    const session = await prisma.session.create({
+      data: {
+        ownerId,
+        ownerType,
+        memberId: member ? member.id : null,
+        ipAddress: req?.ip,
+        userAgent: req?.headers['user-agent'],
+        expiresAt
+      }
+    });
+    familyId = session.id;
+  }
+
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      ownerId,
+      ownerType,
+      memberId: member ? member.id : null,
+      expiresAt
+    }
+  });
+
+  return {
+    accessToken: signAccessToken(ownerId, ownerType, familyId, member),
+    refreshToken
+  };
+}
+
+/**
+ * End a session: its access tokens stop working and every refresh token in its family is revoked
+ * @param {string} sessionId - Session (refresh token family) to revoke
+ * @returns {Promise<number>} - Number of refresh tokens revoked
+ */
+export async function revokeSession(sessionId) {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  const result = await prisma.refreshToken.updateMany({
+    where: { familyId: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  return result.count;
+}
+
+/**
+ * End every session of a user or merchant, e.g. after a password reset.
+ * Sessions of merchant team members are left alone.
+ * @param {string} ownerId - User or merchant ID
+ * @param {string} ownerType - 'USER' or 'MERCHANT'
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+export async function revokeOwnerTokens(ownerId, ownerType) {
+  await prisma.session.updateMany({
+    where: { ownerId, ownerType, memberId: null, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  const result = await prisma.refreshToken.updateMany({
+    where: { ownerId, ownerType, memberId: null, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  return result.count;
+}
+
+/**
+ * End every session of a merchant team member
+ * @param {string} memberId - Team member ID
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+export async function revokeMemberTokens(memberId) {
+  await prisma.session.updateMany({
+    where: { memberId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  const result = await prisma.refreshToken.updateMany({
+    where: { memberId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  return result.count;
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting a token that was already rotated ends its whole session.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {string} ownerType - Account type the token must belong to
+ * @param {Object} req - Request, used to record where the session was last used
+ * @returns {Promise<Object>} - { success, reason } or { success, ownerId, accessToken, refreshToken }
+ */
+export async function rotateRefreshToken(refreshToken, ownerType, req = null) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) }
+  });
+
+  if (!stored || stored.ownerType !== ownerType) {
+    return { success: false, reason: 'Invalid refresh token' };
+  }
+
+  if (stored.revokedAt) {
+    // A rotated token was replayed - assume it leaked and kill the family
+    await revokeSession(stored.familyId);
+    console.warn(`Refresh token reuse detected for ${ownerType.toLowerCase()} ${stored.ownerId}, family ${stored.familyId} revoked`);
+    return { success: false, reason: 'Refresh token reuse detected' };
+  }
+
+  if (stored.expiresAt < new Date()) {
+    return { success: false, reason: 'Refresh token expired' };
+  }
+
+  // Only one request may rotate a given token, concurrent callers count as reuse
+  const claimed = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    await revokeSession(stored.familyId);
+    return { success: false, reason: 'Refresh token reuse detected' };
+  }
+
+  // Team members get their current role, and lose access once removed
+  let member = null;
+  if (stored.memberId) {
+    member = await prisma.merchantMember.findUnique({
+      where: { id: stored.memberId }
+    });
+
+    if (!member || !member.acceptedAt) {
+      await revokeSession(stored.familyId);
+      return { success: false, reason: 'Team member no longer exists' };
+    }
+  }
+
+  const tokens = await issueTokens(stored.ownerId, stored.ownerType, { familyId: stored.familyId, member, req });
+
+  return {
+    success: true,
+    ownerId: stored.ownerId,
+    ...tokens
+  };
+}
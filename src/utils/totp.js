@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { authenticator } from 'otplib';
+import prisma from '../prismaClient.js';
+import encryptor from './encryptor.js';
+
+const ISSUER = 'SuiPay';
+const RECOVERY_CODE_COUNT = 10;
+const STEP_SECONDS = 30;
+
+// Accept the previous and next 30s window to allow for clock drift
+authenticator.options = { step: STEP_SECONDS, window: 1 };
+
+/**
+ * Generate a new TOTP secret and its otpauth:// provisioning URI
+ * @param {Object} merchant - Merchant record
+ * @returns {Object} - { secret, otpauthUrl }
+ */
+export function generateTotpSecret(merchant) {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(merchant.email || merchant.id, ISSUER, secret);
+
+  return { secret, otpauthUrl };
+}
+
+/**
+ * Generate single-use recovery codes
+ * @returns {Object} - { codes, hashes } where only hashes are stored
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => bcrypt.hashSync(code, 8))
+  };
+}
+
+/**
+ * Check a TOTP code against an encrypted secret without recording its use
+ * @param {string} encryptedSecret - Secret as stored on the merchant
+ * @param {string} code - 6 digit code from the authenticator app
+ * @returns {number|null} - The time step the code belongs to, or null if invalid
+ */
+export function checkTotpCode(encryptedSecret, code) {
+  const secret = encryptor.dencrypt(encryptedSecret);
+  const delta = authenticator.checkDelta(String(code), secret);
+
+  if (delta === null) {
+    return null;
+  }
+
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+}
+
+/**
+ * Verify a second factor for a merchant with TOTP enabled. Accepts an
+ * authenticator code (each code works only once) or an unused recovery code.
+ * @param {Object} merchant - Merchant record
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<Object>} - { success, method, reason }
+ */
+export async function verifySecondFactor(merchant, code) {
+  if (!code) {
+    return { success: false, reason: 'TOTP code is required' };
+  }
+
+  if (/^\d{6}$/.test(String(code))) {
+    const step = checkTotpCode(merchant.totpSecret, code);
+
+    if (step === null) {
+      return { success: false, reason: 'Invalid TOTP code' };
+    }
+
+    // Only move forward in time so an observed code can't be replayed
+    const claimed = await prisma.merchant.updateMany({
+      where: {
+        id: merchant.id,
+        OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }]
+      },
+      data: { totpLastUsedStep: step }
+    });
+
+    if (claimed.count === 0) {
+      return { success: false, reason: 'TOTP code has already been used' };
+    }
+
+    return { success: true, method: 'totp' };
+  }
+
+  const hash = merchant.totpRecoveryCodes.find(candidate => bcrypt.compareSync(String(code), candidate));
+
+  if (!hash) {
+    return { success: false, reason: 'Invalid TOTP code' };
+  }
+
+  // Single statement that only removes the code if it is still there, so concurrent
+  // requests can't both use it or put back a code used in the meantime
+  const removed = await prisma.$executeRaw`
+    UPDATE "merchants"
+    SET "totpRecoveryCodes" = array_remove("totpRecoveryCodes", ${hash})
+    WHERE "id" = ${merchant.id} AND ${hash} = ANY("totpRecoveryCodes")`;
+
+  if (removed === 0) {
+    return { success: false, reason: 'Recovery code has already been used' };
+  }
+
+  return { success: true, method: 'recovery_code' };
+}
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import { verifyPersonalMessageSignature } from '@mysten/sui/verify';
+import prisma from '../prismaClient.js';
+import { sui } from './suiClient.js';
+
+const CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Issue a single-use sign-in challenge for a Sui address
+ * @param {string} address - Sui address of the user or merchant
+ * @param {string} ownerType - 'USER' or 'MERCHANT'
+ * @returns {Promise<Object>} - { nonce, message, expiresAt }
+ */
+export async function createWalletChallenge(address, ownerType) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL);
+
+  // Human readable so wallets can show the user what they are signing
+  const message = [
+    'SuiPay wants you to sign in with your Sui account:',
+    address,
+    '',
+    `Account type: ${ownerType}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`
+  ].join('\n');
+
+  await prisma.authChallenge.create({
+    data: {
+      address,
+      ownerType,
+      nonce,
+      message,
+      expiresAt
+    }
+  });
+
+  return { nonce, message, expiresAt };
+}
+
+/**
+ * Consume a challenge and verify the signPersonalMessage signature over it
+ * @param {string} address - Sui address that should have signed the challenge
+ * @param {string} ownerType - 'USER' or 'MERCHANT'
+ * @param {string} nonce - Nonce returned by createWalletChallenge
+ * @param {string} signature - Serialized Sui signature
+ * @returns {Promise<Object>} - { success, reason }
+ */
+export async function verifyWalletChallenge(address, ownerType, nonce, signature) {
+  const challenge = await prisma.authChallenge.findUnique({
+    where: { nonce }
+  });
+
+  if (!challenge || challenge.address !== address || challenge.ownerType !== ownerType) {
+    return { success: false, reason: 'Unknown challenge' };
+  }
+
+  // Mark the nonce used before verifying so it can never be tried twice
+  const claimed = await prisma.authChallenge.updateMany({
+    where: {
+      id: challenge.id,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    return { success: false, reason: 'Challenge expired or already used' };
+  }
+
+  try {
+    await verifyPersonalMessageSignature(
+      new TextEncoder().encode(challenge.message),
+      signature,
+      { address, client: sui }
+    );
+  } catch (error) {
+    return { success: false, reason: error.message };
+  }
+
+  return { success: true };
+}